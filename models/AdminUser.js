@@ -0,0 +1,23 @@
+import mongoose from "mongoose";
+
+export const ADMIN_ROLES = ["owner", "catalog_manager", "order_handler", "read_only"];
+
+const adminUserSchema = new mongoose.Schema({
+  username: { type: String, required: true, unique: true, lowercase: true, trim: true },
+  passwordHash: { type: String, required: true },            // bcrypt
+  role: { type: String, enum: ADMIN_ROLES, required: true },
+  active: { type: Boolean, default: true },                  // false = access revoked
+  mustChangePassword: { type: Boolean, default: false },     // after invite/reset
+  passwordVersion: { type: Number, default: 0 },             // bumped on every password change
+  // TOTP two-factor login
+  totpEnabled: { type: Boolean, default: false },
+  totpSecret: { type: String, default: null },               // base32
+  totpPendingSecret: { type: String, default: null },        // during enrollment
+  totpLastStep: { type: Number, default: -1 },               // blocks code replay
+  recoveryCodeHashes: [{ type: String }],                    // sha256, single use
+  invitedBy: { type: String, default: null },
+  lastLoginAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now }
+});
+
+export default mongoose.model("AdminUser", adminUserSchema);
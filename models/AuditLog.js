@@ -0,0 +1,26 @@
+import mongoose from "mongoose";
+
+// One row per admin mutation: who did what to which document
+const auditLogSchema = new mongoose.Schema({
+  actor: { type: String, default: null },        // admin username
+  actorId: { type: mongoose.Schema.Types.ObjectId, ref: "AdminUser", default: null },
+  role: { type: String, default: null },
+  sessionId: { type: String, default: null },
+  ip: { type: String, default: null },
+  method: { type: String, required: true },
+  route: { type: String, required: true },        // e.g. PUT /products/:id
+  url: { type: String, required: true },
+  entityType: { type: String, required: true },   // product, order, banner
+  entityId: { type: String, required: true },
+  action: { type: String, required: true },       // create, update, delete, status, toggle
+  before: { type: mongoose.Schema.Types.Mixed, default: null },
+  after: { type: mongoose.Schema.Types.Mixed, default: null },
+  changes: { type: mongoose.Schema.Types.Mixed, default: {} }, // { field: { from, to } }
+  createdAt: { type: Date, default: Date.now }
+});
+
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+export default mongoose.model("AuditLog", auditLogSchema);
@@ -1,13 +1,26 @@
 import mongoose from "mongoose";
+import { softDeletePlugin } from "../utils/softDelete.js";
+
+// Named places on the storefront a banner can be shown in
+export const BANNER_PLACEMENTS = ["home_hero", "category", "sidebar"];
 
 const bannerSchema = new mongoose.Schema({
-  imageUrl: { type: String, required: true },   // Cloudinary URL
-  publicId: { type: String, required: true },   // Cloudinary public_id
+  imageUrl: { type: String, required: true },   // desktop image, media storage URL
+  publicId: { type: String, required: true },   // media storage public id
+  mobileImageUrl: { type: String, default: null }, // optional; clients fall back to imageUrl
+  mobilePublicId: { type: String, default: null },
   link: { type: String, default: "" },           // Click URL
+  placement: { type: String, enum: BANNER_PLACEMENTS, default: "home_hero" },
+  position: { type: Number, default: 0 },        // lower shows first within a placement
   startDate: Date,
   endDate: Date,
   active: { type: Boolean, default: true },
   createdAt: { type: Date, default: Date.now }
 });
 
+bannerSchema.index({ placement: 1, position: 1 });
+
+// Soft delete, with trash and restore
+bannerSchema.plugin(softDeletePlugin);
+
 export default mongoose.model("Banner", bannerSchema);
\ No newline at end of file
@@ -0,0 +1,21 @@
+import mongoose from "mongoose";
+
+const couponSchema = new mongoose.Schema({
+  code: { type: String, required: true, unique: true, uppercase: true, trim: true },
+  type: { type: String, enum: ["percentage", "fixed"], required: true },
+  value: { type: Number, required: true, min: 0 },     // percent or Rs amount
+  maxDiscount: { type: Number, default: null, min: 0 }, // cap for percentage coupons
+  minOrderValue: { type: Number, default: 0, min: 0 },  // on the cart subtotal
+  // Scope: empty lists mean the whole catalog
+  categories: [{ type: String }],
+  productIds: [{ type: String }],                      // Product.id
+  maxUses: { type: Number, default: null, min: 1 },     // null = unlimited
+  maxUsesPerPhone: { type: Number, default: null, min: 1 },
+  usedCount: { type: Number, default: 0 },
+  startsAt: { type: Date, default: null },
+  expiresAt: { type: Date, default: null },
+  active: { type: Boolean, default: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
+export default mongoose.model("Coupon", couponSchema);
@@ -0,0 +1,33 @@
+import mongoose from "mongoose";
+
+const addressSchema = new mongoose.Schema({
+  label: { type: String, default: "" },   // e.g. Home, Clinic
+  name: { type: String, required: true },
+  contact: { type: String, required: true },
+  city: { type: String, required: true },
+  houseNo: { type: String, required: true },
+  Block: { type: String, required: true },
+  Area: { type: String, required: true },
+  landmark: { type: String, required: true },
+  isDefault: { type: Boolean, default: false }
+});
+
+// Storefront customer account, identified by phone number
+const customerSchema = new mongoose.Schema({
+  phone: { type: String, required: true },
+  phoneKey: { type: String, required: true, unique: true }, // last 10 digits
+  name: { type: String, default: "" },
+  email: {
+    type: String,
+    default: null,
+    trim: true,
+    lowercase: true,
+    match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, "Invalid email address"]
+  },
+  passwordHash: { type: String, default: null }, // null = OTP sign-in only
+  addresses: [addressSchema],
+  lastLoginAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now }
+});
+
+export default mongoose.model("Customer", customerSchema);
@@ -0,0 +1,15 @@
+import mongoose from "mongoose";
+
+// Signed-in storefront customers. Only a hash of the cookie token is stored.
+const customerSessionSchema = new mongoose.Schema({
+  tokenHash: { type: String, required: true, unique: true },
+  customer: { type: mongoose.Schema.Types.ObjectId, ref: "Customer", required: true },
+  userAgent: { type: String, default: "" },
+  createdAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true } // TTL
+});
+
+customerSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+customerSessionSchema.index({ customer: 1 });
+
+export default mongoose.model("CustomerSession", customerSessionSchema);
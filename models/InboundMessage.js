@@ -0,0 +1,17 @@
+import mongoose from "mongoose";
+
+// Customer messages received through the WhatsApp webhook
+const inboundMessageSchema = new mongoose.Schema({
+  waMessageId: { type: String, required: true, unique: true }, // WhatsApp message id
+  from: { type: String, required: true },                       // sender phone (digits)
+  type: { type: String, required: true },                       // text, button, image…
+  text: { type: String, default: "" },
+  contextMessageId: { type: String, default: null },            // message being replied to
+  order: { type: mongoose.Schema.Types.ObjectId, ref: "Order", default: null },
+  action: { type: String, default: null },                      // e.g. "confirmed", "cancelled"
+  actionError: { type: String, default: null },
+  receivedAt: { type: Date, default: Date.now },
+  processedAt: { type: Date, default: null }                    // set once the reply has been acted on
+});
+
+export default mongoose.model("InboundMessage", inboundMessageSchema);
@@ -0,0 +1,14 @@
+import mongoose from "mongoose";
+
+// Failed admin login counters, keyed per IP ("ip:…") and per username ("user:…")
+const loginAttemptSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  failures: { type: Number, default: 0 },
+  firstFailureAt: { type: Date, default: Date.now },
+  lockedUntil: { type: Date, default: null },
+  expiresAt: { type: Date, required: true } // TTL: row removed once irrelevant
+});
+
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("LoginAttempt", loginAttemptSchema);
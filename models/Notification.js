@@ -0,0 +1,36 @@
+import mongoose from "mongoose";
+
+// Outbox of every outgoing customer/admin message, retried until delivered
+const notificationSchema = new mongoose.Schema({
+  order: { type: mongoose.Schema.Types.ObjectId, ref: "Order", default: null },
+  channel: { type: String, enum: ["whatsapp", "email"], required: true },
+  to: { type: String, required: true },
+  templateName: { type: String, required: true },   // WhatsApp template or email template key
+  params: { type: mongoose.Schema.Types.Mixed, default: null }, // WhatsApp components
+  status: {
+    type: String,
+    enum: ["pending", "sending", "sent", "failed"],
+    default: "pending"
+  },
+  attempts: { type: Number, default: 0 },
+  lastError: { type: String, default: null },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lockedAt: { type: Date, default: null },          // set while a worker is sending
+  providerMessageId: { type: String, default: null }, // e.g. WhatsApp message id
+  // Delivery receipts reported back by the provider (WhatsApp webhook)
+  deliveryStatus: {
+    type: String,
+    enum: ["sent", "delivered", "read", "failed"],
+    default: null
+  },
+  deliveryStatusAt: { type: Date, default: null },
+  deliveryError: { type: String, default: null },
+  sentAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now }
+});
+
+notificationSchema.index({ status: 1, nextAttemptAt: 1 });
+notificationSchema.index({ order: 1, createdAt: -1 });
+notificationSchema.index({ providerMessageId: 1 }, { sparse: true });
+
+export default mongoose.model("Notification", notificationSchema);
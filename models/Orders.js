@@ -1,9 +1,54 @@
 import mongoose from "mongoose";
+import { softDeletePlugin } from "../utils/softDelete.js";
+
+// Order lifecycle: pending → confirmed → packed → shipped → delivered,
+// with cancelled/returned as terminal side-exits.
+export const ORDER_STATUSES = [
+  "pending",
+  "confirmed",
+  "packed",
+  "shipped",
+  "delivered",
+  "cancelled",
+  "returned",
+];
+
+// Payment state: not_required for cash on delivery and other offline
+// methods; online payments go pending → paid, or failed (and may be retried)
+export const PAYMENT_STATUSES = ["not_required", "pending", "paid", "failed"];
+
+// Phone verification for cash on delivery: pending until the customer enters
+// the code sent to `contact`, failed if they never do; not_required for paid
+// orders and numbers the customer already signed in with
+export const VERIFICATION_STATUSES = [
+  "not_required",
+  "pending",
+  "verified",
+  "failed",
+];
+
+export const ORDER_STATUS_TRANSITIONS = {
+  pending: ["confirmed", "cancelled"],
+  confirmed: ["packed", "cancelled"],
+  packed: ["shipped", "cancelled"],
+  shipped: ["delivered", "returned"],
+  delivered: ["returned"],
+  cancelled: [],
+  returned: [],
+};
 
 const orderSchema = new mongoose.Schema({
   orderId: { type: String, required: true, unique: true },
   name: { type: String, required: true },
   contact: { type: String, required: true },
+  contactKey: { type: String, default: null, index: true }, // last 10 digits of contact
+  email: {
+    type: String,
+    default: null,
+    trim: true,
+    lowercase: true,
+    match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, "Invalid email address"],
+  },
   city: { type: String, required: true },
   houseNo: { type: String, required: true },
   Block: { type: String, required: true },
@@ -12,7 +57,10 @@ const orderSchema = new mongoose.Schema({
   paymentMethod: { type: String, required: true },
   cartItems: [
     {
+      productId: { type: String, default: null }, // Product.id
+      sku: { type: String, default: null }, // Product variant SKU
       name: { type: String, required: true },
+      category: { type: String, default: null },
       price: { type: Number, required: true },
       quantity: { type: Number, required: true },
       selectedColor: { type: String, default: null },
@@ -20,8 +68,53 @@ const orderSchema = new mongoose.Schema({
       image: { type: String, default: null },
     },
   ],
+  subtotal: { type: Number, default: null },
+  couponCode: { type: String, default: null },
+  couponPhone: { type: String, default: null }, // for per-phone coupon limits
+  couponRedeemed: { type: Boolean, default: false }, // true until the use is given back
+  discount: { type: Number, default: 0 },
+  deliveryCharges: { type: Number, default: null },
   totalAmount: { type: Number, required: true },
+  stockReserved: { type: Boolean, default: false }, // true until restocked
+  // Signed-in customer who placed the order (null for guest checkout)
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Customer",
+    default: null,
+    index: true,
+  },
+  payment: {
+    provider: { type: String, default: null }, // null for offline methods
+    status: { type: String, enum: PAYMENT_STATUSES, default: "not_required" },
+    txnRef: { type: String, default: null, index: true }, // our reference for the latest attempt
+    transactionId: { type: String, default: null }, // gateway's reference once paid
+    attempts: { type: Number, default: 0 },
+    failureReason: { type: String, default: null },
+    initiatedAt: { type: Date, default: null },
+    paidAt: { type: Date, default: null },
+  },
+  verification: {
+    status: {
+      type: String,
+      enum: VERIFICATION_STATUSES,
+      default: "not_required",
+    },
+    verifiedAt: { type: Date, default: null },
+  },
+  status: { type: String, enum: ORDER_STATUSES, default: "pending" },
+  statusHistory: [
+    {
+      from: { type: String, default: null },
+      to: { type: String, enum: ORDER_STATUSES, required: true },
+      changedBy: { type: String, default: null }, // admin username or "customer"
+      note: { type: String, default: "" },
+      changedAt: { type: Date, default: Date.now },
+    },
+  ],
   createdAt: { type: Date, default: Date.now },
 });
 
-export default mongoose.model("Order", orderSchema);
\ No newline at end of file
+// Deleted orders stay restorable in the trash until purged (utils/trash.js)
+orderSchema.plugin(softDeletePlugin);
+
+export default mongoose.model("Order", orderSchema);
@@ -0,0 +1,14 @@
+import mongoose from "mongoose";
+
+// Codes sent to each phone number ("<phoneKey>") in the current window, to
+// cap WhatsApp sends per number whatever the purpose of the code
+const otpSendSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  count: { type: Number, default: 0 },
+  windowStartedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true } // TTL: end of the window
+});
+
+otpSendSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("OtpSend", otpSendSchema);
\ No newline at end of file
@@ -0,0 +1,14 @@
+import mongoose from "mongoose";
+
+// One-time codes sent to a phone, keyed by purpose ("login:<phone>", …)
+const phoneOtpSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  codeHash: { type: String, required: true },
+  attempts: { type: Number, default: 0 },   // wrong guesses so far
+  sentAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true } // TTL
+});
+
+phoneOtpSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("PhoneOtp", phoneOtpSchema);
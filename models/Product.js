@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { softDeletePlugin } from "../utils/softDelete.js";
 
 const productSchema = new mongoose.Schema({
   id: { type: String, required: true, unique: true },
@@ -8,10 +9,71 @@ const productSchema = new mongoose.Schema({
   category: { type: String, required: true },
   mostSell: { type: Boolean, default: false },
   available: { type: Boolean, default: true },
-  images: [{ type: String }],
+  images: [{ type: String }], // display order; the first is the primary image
+  // Storage public id of each image URL, so single images can be deleted
+  imageAssets: [
+    {
+      _id: false,
+      url: { type: String, required: true },
+      publicId: { type: String, default: null },
+    },
+  ],
   colors: [{ type: String }],
   sizes: [{ type: String }],
   description: { type: String, default: "" },
-},{ timestamps: true });
+  weight: { type: Number, default: 0, min: 0 }, // kg, for delivery surcharges
+  stock: { type: Number, default: null, min: 0 }, // null = not tracked
+  // Sellable color/size combinations; when present, stock and price are
+  // tracked per variant and colors/sizes are derived from them
+  variants: [
+    {
+      _id: false,
+      sku: { type: String, required: true },
+      color: { type: String, default: null },
+      size: { type: String, default: null },
+      price: { type: Number, default: null, min: 0 }, // null = product price
+      stock: { type: Number, default: null, min: 0 }, // null = not tracked
+      images: [{ type: String }],
+    },
+  ],
+  lowStockThreshold: { type: Number, default: 5, min: 0 },
+  soldCount: { type: Number, default: 0 }, // units sold, for best-selling sort
+},{ timestamps: true, toJSON: { virtuals: true } });
 
-export default  mongoose.model("Product", productSchema);
\ No newline at end of file
+// untracked | in_stock | low_stock | out_of_stock
+productSchema.virtual("stockStatus").get(function () {
+  const counts =
+    this.variants && this.variants.length > 0
+      ? this.variants
+          .map((v) => v.stock)
+          .filter((c) => typeof c === "number")
+      : typeof this.stock === "number"
+      ? [this.stock]
+      : [];
+  if (counts.length === 0) return "untracked";
+  if (counts.every((c) => c <= 0)) return "out_of_stock";
+  if (counts.some((c) => c <= this.lowStockThreshold)) return "low_stock";
+  return "in_stock";
+});
+
+productSchema.virtual("primaryImage").get(function () {
+  return this.images && this.images.length > 0 ? this.images[0] : null;
+});
+
+// Storefront listing filters and sorts (GET /products)
+productSchema.index({ name: "text", description: "text" });
+productSchema.index({ category: 1, createdAt: -1 });
+productSchema.index({ available: 1, createdAt: -1 });
+productSchema.index({ mostSell: 1 });
+productSchema.index({ soldCount: -1 });
+productSchema.index({ colors: 1 });
+productSchema.index({ sizes: 1 });
+productSchema.index(
+  { "variants.sku": 1 },
+  { unique: true, partialFilterExpression: { "variants.sku": { $exists: true } } }
+);
+
+// DELETE /products/:id only moves a product to the trash
+productSchema.plugin(softDeletePlugin);
+
+export default  mongoose.model("Product", productSchema);
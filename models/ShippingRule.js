@@ -0,0 +1,18 @@
+import mongoose from "mongoose";
+
+const shippingRuleSchema = new mongoose.Schema({
+  // Lowercased city name, or "*" for the rule used when no city matches
+  city: { type: String, required: true, unique: true, lowercase: true, trim: true },
+  baseRate: { type: Number, required: true, min: 0 },
+  freeShippingThreshold: { type: Number, default: null, min: 0 }, // null = never free
+  // Quantity surcharge: perExtraItem for each unit beyond includedItems
+  includedItems: { type: Number, default: null, min: 0 },          // null = no surcharge
+  perExtraItem: { type: Number, default: 0, min: 0 },
+  // Weight surcharge: perExtraKg for each started kg beyond includedKg
+  includedKg: { type: Number, default: null, min: 0 },             // null = no surcharge
+  perExtraKg: { type: Number, default: 0, min: 0 },
+  active: { type: Boolean, default: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
+export default mongoose.model("ShippingRule", shippingRuleSchema);
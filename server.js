@@ -7,12 +7,125 @@ import bcrypt from "bcrypt";
 import cors from "cors";
 import session from "express-session";
 import MongoStore from "connect-mongo";
-import cloudinaryPkg from "cloudinary";
 import fs from "fs";
-import PDFDocument from "pdfkit";
+import crypto from "crypto";
+import { once } from "events";
 import axios from "axios";
-import nodemailer from "nodemailer";
 import { sendWhatsAppTemplate } from "./utils/sendWhatsAppTemplate.js";
+import { priceCart } from "./utils/pricing.js";
+import { createReceipt } from "./utils/receipt.js";
+import { isEmailConfigured } from "./utils/mailer.js";
+import {
+  enqueueNotification,
+  requeueNotifications,
+  startOutboxWorker,
+} from "./utils/outbox.js";
+import {
+  COUPON_FIELDS,
+  redeemCoupon,
+  unredeemCoupon,
+  releaseOrderCoupon,
+  reclaimOrderCoupon,
+} from "./utils/coupons.js";
+import { SHIPPING_RULE_FIELDS } from "./utils/shipping.js";
+import { changeOrderStatus } from "./utils/orderStatus.js";
+import { phoneKey } from "./utils/phone.js";
+import { recordAudit } from "./utils/audit.js";
+import { issueOtp, verifyOtp } from "./utils/otp.js";
+import {
+  startCustomerSession,
+  endCustomerSession,
+  endOtherCustomerSessions,
+  loadCustomer,
+  isCustomer,
+} from "./utils/customerAuth.js";
+import { buildOrderFilter, buildOrderQuery } from "./utils/orderQuery.js";
+import {
+  parseImageList,
+  planImages,
+  imageFields,
+} from "./utils/productImages.js";
+import {
+  parseAnalyticsQuery,
+  summaryPipeline,
+  EMPTY_SUMMARY,
+  compareSummaries,
+  salesSeriesPipeline,
+  topProductsPipeline,
+  topCategoriesPipeline,
+  breakdownPipeline,
+} from "./utils/analytics.js";
+import {
+  parseImportFile,
+  importProducts,
+  productToRow,
+  productCsvHeader,
+  productCsvRow,
+} from "./utils/productImport.js";
+import {
+  EXPORT_FORMATS,
+  EXPORT_MODES,
+  streamOrderExport,
+} from "./utils/orderExport.js";
+import {
+  trackingToken,
+  assertTrackingSecret,
+  trackingPath,
+  verifyTrackingToken,
+  publicOrderView,
+} from "./utils/tracking.js";
+import { ROLE_PERMISSIONS, hasPermission } from "./utils/permissions.js";
+import {
+  lockedUntil,
+  recordLoginFailure,
+  clearLoginFailures,
+} from "./utils/loginThrottle.js";
+import {
+  generateSecret,
+  verifyTotp,
+  provisioningUri,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+} from "./utils/totp.js";
+import {
+  verifyWebhookSignature,
+  processWhatsAppWebhook,
+} from "./utils/whatsappWebhook.js";
+import {
+  reserveStock,
+  releaseStock,
+  recordSales,
+  restockOrder,
+  reclaimOrderStock,
+  parseStockFields,
+} from "./utils/stock.js";
+import { buildProductQuery } from "./utils/productQuery.js";
+import { parseVariants, variantOptions } from "./utils/variants.js";
+import { getMediaStorage } from "./utils/storage/index.js";
+import { softDeleteUpdate, restoreUpdate } from "./utils/softDelete.js";
+import {
+  TRASH_ENTITIES,
+  trashRetentionDays,
+  purgeDocument,
+  startTrashPurgeWorker,
+} from "./utils/trash.js";
+import {
+  PAYMENT_PROVIDERS,
+  getPaymentProvider,
+  enabledPaymentProviders,
+  paymentBaseUrl,
+} from "./utils/payments/index.js";
+import {
+  initiatePayment,
+  applyPaymentCallback,
+  startPaymentExpiryWorker,
+} from "./utils/orderPayments.js";
+import {
+  codVerificationEnabled,
+  sendOrderCode,
+  verifyOrder,
+  startOrderVerificationWorker,
+} from "./utils/orderVerification.js";
 import { fileURLToPath } from "url";
 
 const __filename = fileURLToPath(import.meta.url);
@@ -20,15 +133,19 @@ const __dirname = path.dirname(__filename);
 
 // Models
 import Product from "./models/Product.js";
-import Order from "./models/Orders.js";
-import Banner from "./models/Banner.js";
+import Order, { ORDER_STATUSES } from "./models/Orders.js";
+import Banner, { BANNER_PLACEMENTS } from "./models/Banner.js";
+import Coupon from "./models/Coupon.js";
+import Notification from "./models/Notification.js";
+import InboundMessage from "./models/InboundMessage.js";
+import AdminUser, { ADMIN_ROLES } from "./models/AdminUser.js";
+import ShippingRule from "./models/ShippingRule.js";
+import AuditLog from "./models/AuditLog.js";
+import Customer from "./models/Customer.js";
 
 // Load env
 dotenv.config();
 
-// Cloudinary v2
-const cloudinary = cloudinaryPkg.v2;
-
 // App init
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -36,12 +153,17 @@ const PORT = process.env.PORT || 3000;
 // Trust Render's proxy
 app.set("trust proxy", 1);
 
-// Configure Cloudinary
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET,
-});
+// Media storage (Cloudinary or local disk, see MEDIA_STORAGE)
+const media = getMediaStorage();
+console.log("📦 Media storage:", media.name);
+
+// Payment providers are checked at startup so a bad configuration (e.g. the
+// mock gateway next to a real one) stops the server instead of a checkout
+const paymentProviders = enabledPaymentProviders().map((p) => p.name);
+console.log("💳 Payment providers:", paymentProviders.join(", ") || "none");
+
+// Tracking links are signed with TRACKING_SECRET (or SESSION_SECRET)
+assertTrackingSecret();
 
 // Create temporary uploads directory
 const uploadDir = path.join(__dirname, "uploads");
@@ -53,15 +175,38 @@ if (!fs.existsSync(uploadDir)) {
 // MongoDB Connect
 mongoose
   .connect(process.env.MONGODB_URI)
-  .then(() =>
-    console.log("✅ MongoDB Connected, State:", mongoose.connection.readyState)
-  )
+  .then(() => {
+    console.log("✅ MongoDB Connected, State:", mongoose.connection.readyState);
+    startOutboxWorker();
+    startTrashPurgeWorker();
+    startPaymentExpiryWorker();
+    startOrderVerificationWorker();
+  })
   .catch((err) => console.error("❌ MongoDB Error:", err));
 
 // Middleware
-app.use(express.json());
+app.use(
+  express.json({
+    // Keep the raw bytes of webhook calls for signature checks
+    verify: (req, res, buf) => {
+      if (req.originalUrl.startsWith("/webhooks/")) req.rawBody = buf;
+    },
+  })
+);
 app.use(express.urlencoded({ extended: true }));
 
+// Locally stored media (MEDIA_BASE_URL should point here)
+if (media.name === "local") {
+  app.use(
+    "/media",
+    express.static(media.root, {
+      maxAge: "30d",
+      // Never let a browser treat a stored file as anything but its type
+      setHeaders: (res) => res.set("X-Content-Type-Options", "nosniff"),
+    })
+  );
+}
+
 // Prevent caching for API responses
 app.use((req, res, next) => {
   res.set("Cache-Control", "no-store, no-cache, must-revalidate, private");
@@ -115,42 +260,244 @@ app.use(
   })
 );
 
-// Dummy Admin
+// Bootstrap Admin: signs in (and becomes the first owner account) only
+// while no AdminUser exists yet
 const ADMIN = {
   username: process.env.ADMIN_USER,
   password: process.env.ADMIN_HASH,
 };
 
+// All an admin with a temporary password may do until they change it
+const PASSWORD_CHANGE_PATHS = ["/check-auth", "/admin/me/password"];
+
 // Authentication Middleware
-function isAuthenticated(req, res, next) {
+async function isAuthenticated(req, res, next) {
   console.log("isAuthenticated:", {
     sessionID: req.sessionID,
     loggedIn: req.session.loggedIn,
+    userId: req.session.userId,
     cookies: req.headers.cookie || "No cookies",
     userAgent: req.get("User-Agent"),
   });
-  if (req.session.loggedIn) return next();
+  if (req.session.loggedIn && req.session.userId) {
+    // Re-check the account so disabling a user, changing a role or
+    // resetting the password applies to sessions that are already open
+    const user = await AdminUser.findById(req.session.userId);
+    if (
+      user &&
+      user.active &&
+      (req.session.passwordVersion || 0) === user.passwordVersion
+    ) {
+      if (
+        user.mustChangePassword &&
+        !PASSWORD_CHANGE_PATHS.includes(req.path)
+      ) {
+        return res.status(403).json({
+          success: false,
+          mustChangePassword: true,
+          message: "Please change your password first",
+        });
+      }
+      req.session.role = user.role;
+      req.admin = user;
+      return next();
+    }
+  }
   res.status(401).json({ authenticated: false });
 }
 
+// Permission Middleware: authenticated admin whose role grants `permission`
+function can(permission) {
+  return (req, res, next) =>
+    isAuthenticated(req, res, () => {
+      if (hasPermission(req.session.role, permission)) return next();
+      console.error("Permission denied:", {
+        username: req.session.username,
+        role: req.session.role,
+        permission,
+      });
+      res.status(403).json({
+        success: false,
+        message: "You don't have permission to do this",
+      });
+    });
+}
+
+// Find the admin account for a login, creating the first owner from the
+// env credentials on a fresh install
+async function findLoginUser(username, password) {
+  const user = await AdminUser.findOne({
+    username: String(username || "").toLowerCase(),
+  });
+  if (user) {
+    const match = await bcrypt.compare(
+      String(password || ""),
+      user.passwordHash
+    );
+    return match && user.active ? user : null;
+  }
+
+  if (
+    ADMIN.username &&
+    ADMIN.password &&
+    username === ADMIN.username &&
+    (await AdminUser.countDocuments()) === 0 &&
+    (await bcrypt.compare(String(password || ""), ADMIN.password))
+  ) {
+    console.log("Creating first owner account from env admin:", { username });
+    return AdminUser.create({
+      username,
+      passwordHash: ADMIN.password,
+      role: "owner",
+    });
+  }
+  return null;
+}
+
+// Start a fresh session for a signed-in admin. Regenerating the session id
+// prevents fixation: an id planted before login is useless afterwards.
+async function startAdminSession(req, user) {
+  await new Promise((resolve, reject) =>
+    req.session.regenerate((err) => (err ? reject(err) : resolve()))
+  );
+  req.session.loggedIn = true;
+  req.session.userId = String(user._id);
+  req.session.username = user.username;
+  req.session.role = user.role;
+  req.session.passwordVersion = user.passwordVersion;
+  await AdminUser.updateOne(
+    { _id: user._id },
+    { $set: { lastLoginAt: new Date() } }
+  );
+}
+
+// Answer a throttled login with 429 and when to try again
+function sendLocked(res, until) {
+  const retryAfter = Math.ceil((until.getTime() - Date.now()) / 1000);
+  res.set("Retry-After", String(retryAfter));
+  return res.status(429).json({
+    success: false,
+    message: "Too many failed attempts, please try again later",
+    retryAfter,
+  });
+}
+
+// Second login step lasts this long after the password was accepted
+const TWO_FACTOR_WINDOW_MS = 5 * 60 * 1000;
+
 // Login Route
 app.post("/login", async (req, res) => {
   const { username, password } = req.body;
   console.log("Login attempt:", {
     username,
+    ip: req.ip,
     sessionID: req.sessionID,
     cookies: req.headers.cookie || "No cookies",
     userAgent: req.get("User-Agent"),
   });
-  if (username === ADMIN.username) {
-    const match = await bcrypt.compare(password, ADMIN.password);
-    if (match) {
-      req.session.loggedIn = true;
-      return res.json({ success: true });
+
+  const until = await lockedUntil(req.ip, username);
+  if (until) return sendLocked(res, until);
+
+  const user = await findLoginUser(username, password);
+  if (!user) {
+    await recordLoginFailure(req.ip, username);
+    return res
+      .status(401)
+      .json({ success: false, message: "Invalid credentials" });
+  }
+
+  if (user.totpEnabled) {
+    // Password is right; hold the login until the TOTP code is checked.
+    // Failures are only cleared once the code is accepted too, so repeating
+    // the password can't reset the lockout on code guesses.
+    await new Promise((resolve, reject) =>
+      req.session.regenerate((err) => (err ? reject(err) : resolve()))
+    );
+    req.session.pendingTwoFactor = {
+      userId: String(user._id),
+      passwordVersion: user.passwordVersion,
+      expiresAt: Date.now() + TWO_FACTOR_WINDOW_MS,
+    };
+    return res.json({ success: true, twoFactorRequired: true });
+  }
+
+  await clearLoginFailures(user.username);
+  await startAdminSession(req, user);
+  res.json({
+    success: true,
+    username: user.username,
+    role: user.role,
+    mustChangePassword: user.mustChangePassword,
+  });
+});
+
+// Login second step: TOTP code or a recovery code
+app.post("/login/2fa", async (req, res) => {
+  const { code, recoveryCode } = req.body;
+  const pending = req.session.pendingTwoFactor;
+  if (!pending || pending.expiresAt < Date.now()) {
+    delete req.session.pendingTwoFactor;
+    return res.status(401).json({
+      success: false,
+      message: "Login expired, please enter your password again",
+    });
+  }
+
+  const user = await AdminUser.findById(pending.userId);
+  // A password reset since the first step invalidates the password entered
+  if (
+    !user ||
+    !user.active ||
+    !user.totpEnabled ||
+    (pending.passwordVersion || 0) !== user.passwordVersion
+  ) {
+    delete req.session.pendingTwoFactor;
+    return res
+      .status(401)
+      .json({ success: false, message: "Invalid credentials" });
+  }
+
+  const until = await lockedUntil(req.ip, user.username);
+  if (until) return sendLocked(res, until);
+
+  let ok = false;
+  if (recoveryCode) {
+    // Remove the code atomically so it can only be used once
+    const result = await AdminUser.updateOne(
+      { _id: user._id, recoveryCodeHashes: hashRecoveryCode(recoveryCode) },
+      { $pull: { recoveryCodeHashes: hashRecoveryCode(recoveryCode) } }
+    );
+    ok = result.modifiedCount === 1;
+    if (ok) console.warn("Recovery code used:", { username: user.username });
+  } else {
+    const step = verifyTotp(user.totpSecret, code, {
+      afterStep: user.totpLastStep,
+    });
+    if (step !== null) {
+      const result = await AdminUser.updateOne(
+        { _id: user._id, totpLastStep: { $lt: step } },
+        { $set: { totpLastStep: step } }
+      );
+      ok = result.modifiedCount === 1;
     }
   }
 
-  res.status(401).json({ success: false, message: "Invalid credentials" });
+  if (!ok) {
+    await recordLoginFailure(req.ip, user.username);
+    return res
+      .status(401)
+      .json({ success: false, message: "Invalid verification code" });
+  }
+
+  await clearLoginFailures(user.username);
+  await startAdminSession(req, user);
+  res.json({
+    success: true,
+    username: user.username,
+    role: user.role,
+    mustChangePassword: user.mustChangePassword,
+  });
 });
 
 // Logout Route
@@ -183,10 +530,353 @@ app.get("/check-auth", (req, res) => {
     cookies: req.headers.cookie || "No cookies",
     userAgent: req.get("User-Agent"),
   });
-  if (req.session.loggedIn) {
-    return res.json({ authenticated: true });
-  } else {
-    return res.status(401).json({ authenticated: false });
+  return isAuthenticated(req, res, () =>
+    res.json({
+      authenticated: true,
+      username: req.admin.username,
+      role: req.admin.role,
+      permissions: ROLE_PERMISSIONS[req.admin.role],
+      mustChangePassword: req.admin.mustChangePassword,
+    })
+  );
+});
+
+//     ADMIN USERS
+// Random temporary password handed out on invite/reset
+const temporaryPassword = () => crypto.randomBytes(9).toString("base64url");
+
+// Owners can't lock the team out by demoting or disabling the last owner
+async function isLastActiveOwner(user) {
+  if (user.role !== "owner" || !user.active) return false;
+  const owners = await AdminUser.countDocuments({
+    role: "owner",
+    active: true,
+  });
+  return owners <= 1;
+}
+
+const publicAdminUser = (user) => ({
+  _id: user._id,
+  username: user.username,
+  role: user.role,
+  active: user.active,
+  mustChangePassword: user.mustChangePassword,
+  totpEnabled: user.totpEnabled,
+  invitedBy: user.invitedBy,
+  lastLoginAt: user.lastLoginAt,
+  createdAt: user.createdAt,
+});
+
+app.get("/admin/users", can("users"), async (req, res) => {
+  try {
+    const users = await AdminUser.find().sort({ createdAt: 1 });
+    res.json(users.map(publicAdminUser));
+  } catch (err) {
+    console.error("Admin users fetch error:", err);
+    res.status(500).json({ success: false, message: "Fetch failed" });
+  }
+});
+
+// Invite Admin User: returns a one-time temporary password
+app.post("/admin/users", can("users"), async (req, res) => {
+  try {
+    const { username, role } = req.body;
+    if (!username || !ADMIN_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `username and role (${ADMIN_ROLES.join(", ")}) are required`,
+      });
+    }
+
+    const password = temporaryPassword();
+    const user = await AdminUser.create({
+      username,
+      role,
+      passwordHash: await bcrypt.hash(password, 12),
+      mustChangePassword: true,
+      invitedBy: req.session.username,
+    });
+    console.log("Admin user invited:", { username: user.username, role });
+    res.status(201).json({
+      success: true,
+      user: publicAdminUser(user),
+      temporaryPassword: password,
+    });
+  } catch (err) {
+    if (err.code === 11000) {
+      return res
+        .status(409)
+        .json({ success: false, message: "Username already exists" });
+    }
+    console.error("Admin user invite error:", err);
+    res.status(500).json({ success: false, message: "Failed to invite user" });
+  }
+});
+
+// Update Admin User role / enable / disable
+app.patch("/admin/users/:id", can("users"), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid user ID" });
+    }
+    const user = await AdminUser.findById(req.params.id);
+    if (!user) {
+      return res
+        .status(404)
+        .json({ success: false, message: "User not found" });
+    }
+
+    const { role, active } = req.body;
+    if (role !== undefined && !ADMIN_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `role must be one of: ${ADMIN_ROLES.join(", ")}`,
+      });
+    }
+    const demoting = role !== undefined && role !== "owner";
+    const disabling = active === false;
+    if ((demoting || disabling) && (await isLastActiveOwner(user))) {
+      return res.status(400).json({
+        success: false,
+        message: "There must be at least one active owner",
+      });
+    }
+
+    if (role !== undefined) user.role = role;
+    if (active !== undefined) user.active = Boolean(active);
+    await user.save();
+    console.log("Admin user updated:", {
+      username: user.username,
+      role: user.role,
+      active: user.active,
+      by: req.session.username,
+    });
+    res.json({ success: true, user: publicAdminUser(user) });
+  } catch (err) {
+    console.error("Admin user update error:", err);
+    res.status(500).json({ success: false, message: "Failed to update user" });
+  }
+});
+
+// Reset Admin User Password: returns a one-time temporary password
+app.post("/admin/users/:id/reset-password", can("users"), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid user ID" });
+    }
+    const password = temporaryPassword();
+    const user = await AdminUser.findByIdAndUpdate(
+      req.params.id,
+      {
+        $set: {
+          passwordHash: await bcrypt.hash(password, 12),
+          mustChangePassword: true,
+        },
+        // Signs the user out of every open session
+        $inc: { passwordVersion: 1 },
+      },
+      { new: true }
+    );
+    if (!user) {
+      return res
+        .status(404)
+        .json({ success: false, message: "User not found" });
+    }
+    console.log("Admin password reset:", {
+      username: user.username,
+      by: req.session.username,
+    });
+    res.json({ success: true, temporaryPassword: password });
+  } catch (err) {
+    console.error("Admin password reset error:", err);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to reset password" });
+  }
+});
+
+// Change Own Password
+app.post("/admin/me/password", isAuthenticated, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    if (!newPassword || String(newPassword).length < 8) {
+      return res.status(400).json({
+        success: false,
+        message: "New password must be at least 8 characters",
+      });
+    }
+    const match = await bcrypt.compare(
+      String(currentPassword || ""),
+      req.admin.passwordHash
+    );
+    if (!match) {
+      return res
+        .status(401)
+        .json({ success: false, message: "Current password is incorrect" });
+    }
+
+    req.admin.passwordHash = await bcrypt.hash(String(newPassword), 12);
+    req.admin.mustChangePassword = false;
+    // Other sessions of this user end; this one stays signed in
+    req.admin.passwordVersion += 1;
+    await req.admin.save();
+    req.session.passwordVersion = req.admin.passwordVersion;
+    res.json({ success: true });
+  } catch (err) {
+    console.error("Password change error:", err);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to change password" });
+  }
+});
+
+// Two-Factor Setup: new secret and provisioning URI for the QR code
+app.post("/admin/me/2fa/setup", isAuthenticated, async (req, res) => {
+  try {
+    if (req.admin.totpEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor login is already enabled",
+      });
+    }
+    const secret = generateSecret();
+    req.admin.totpPendingSecret = secret;
+    await req.admin.save();
+    res.json({
+      success: true,
+      secret,
+      otpauthUrl: provisioningUri(secret, req.admin.username),
+    });
+  } catch (err) {
+    console.error("2FA setup error:", err);
+    res.status(500).json({ success: false, message: "2FA setup failed" });
+  }
+});
+
+// Two-Factor Enable: confirm a code from the app, get recovery codes once
+app.post("/admin/me/2fa/enable", isAuthenticated, async (req, res) => {
+  try {
+    const secret = req.admin.totpPendingSecret;
+    if (!secret) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Start two-factor setup first" });
+    }
+    const step = verifyTotp(secret, req.body.code);
+    if (step === null) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid verification code" });
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    req.admin.totpEnabled = true;
+    req.admin.totpSecret = secret;
+    req.admin.totpPendingSecret = null;
+    req.admin.totpLastStep = step;
+    req.admin.recoveryCodeHashes = recoveryCodes.map(hashRecoveryCode);
+    await req.admin.save();
+    console.log("2FA enabled:", { username: req.admin.username });
+    res.json({ success: true, recoveryCodes });
+  } catch (err) {
+    console.error("2FA enable error:", err);
+    res.status(500).json({ success: false, message: "2FA enable failed" });
+  }
+});
+
+// Two-Factor Disable: requires the password and a current code
+app.post("/admin/me/2fa/disable", isAuthenticated, async (req, res) => {
+  try {
+    const { password, code } = req.body;
+    const passwordOk = await bcrypt.compare(
+      String(password || ""),
+      req.admin.passwordHash
+    );
+    const step = req.admin.totpEnabled
+      ? verifyTotp(req.admin.totpSecret, code, {
+          afterStep: req.admin.totpLastStep,
+        })
+      : null;
+    if (!passwordOk || step === null) {
+      return res
+        .status(401)
+        .json({ success: false, message: "Invalid password or code" });
+    }
+
+    req.admin.totpEnabled = false;
+    req.admin.totpSecret = null;
+    req.admin.totpLastStep = -1;
+    req.admin.recoveryCodeHashes = [];
+    await req.admin.save();
+    console.log("2FA disabled:", { username: req.admin.username });
+    res.json({ success: true });
+  } catch (err) {
+    console.error("2FA disable error:", err);
+    res.status(500).json({ success: false, message: "2FA disable failed" });
+  }
+});
+
+// New Recovery Codes: replaces the old set
+app.post("/admin/me/2fa/recovery-codes", isAuthenticated, async (req, res) => {
+  try {
+    const step = req.admin.totpEnabled
+      ? verifyTotp(req.admin.totpSecret, req.body.code, {
+          afterStep: req.admin.totpLastStep,
+        })
+      : null;
+    if (step === null) {
+      return res
+        .status(401)
+        .json({ success: false, message: "Invalid verification code" });
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    req.admin.totpLastStep = step;
+    req.admin.recoveryCodeHashes = recoveryCodes.map(hashRecoveryCode);
+    await req.admin.save();
+    res.json({ success: true, recoveryCodes });
+  } catch (err) {
+    console.error("Recovery codes error:", err);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to create recovery codes" });
+  }
+});
+
+// Reset Two-Factor for an admin who lost their device (owner only)
+app.post("/admin/users/:id/reset-2fa", can("users"), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid user ID" });
+    }
+    const user = await AdminUser.findByIdAndUpdate(req.params.id, {
+      $set: {
+        totpEnabled: false,
+        totpSecret: null,
+        totpPendingSecret: null,
+        totpLastStep: -1,
+        recoveryCodeHashes: [],
+      },
+    });
+    if (!user) {
+      return res
+        .status(404)
+        .json({ success: false, message: "User not found" });
+    }
+    console.log("2FA reset:", {
+      username: user.username,
+      by: req.session.username,
+    });
+    res.json({ success: true });
+  } catch (err) {
+    console.error("2FA reset error:", err);
+    res.status(500).json({ success: false, message: "2FA reset failed" });
   }
 });
 
@@ -221,12 +911,92 @@ app.use((err, req, res, next) => {
   next(err);
 });
 
+// Product images: max 800px wide, compressed, modern format where supported
+const PRODUCT_IMAGE_OPTIONS = {
+  folder: "myr-surgical",
+  maxWidth: 800,
+  quality: "auto:good",
+  autoFormat: true,
+};
+
+// Upload one product image to media storage and remove the local temp file
+async function uploadProductImage(file) {
+  const result = await media.upload(file.path, PRODUCT_IMAGE_OPTIONS);
+  console.log("Image uploaded:", { url: result.url, size: result.bytes });
+  fs.unlink(file.path, (err) => {
+    if (err) console.error("Failed to delete local file:", err);
+  });
+  return { url: result.url, publicId: result.publicId };
+}
+
+// Delete removed product images from media storage. Failures are logged
+// only: the product no longer references them either way.
+async function destroyProductImages(assets) {
+  for (const { url, publicId } of assets) {
+    if (!publicId) continue;
+    try {
+      await media.destroy(publicId);
+      console.log("Deleted image:", { publicId });
+    } catch (err) {
+      console.error("Failed to delete image:", { url, message: err.message });
+    }
+  }
+}
+
+// Re-host a remote product image (bulk import) in media storage
+async function uploadProductImageUrl(url) {
+  const result = await media.upload(url, PRODUCT_IMAGE_OPTIONS);
+  console.log("Image imported:", { from: url, url: result.url });
+  return { url: result.url, publicId: result.publicId };
+}
+
+// Bulk import files are parsed in memory, never written to uploads/
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+});
+
+// Upload the files each variant references and add them to its images.
+// Each asset is added to `uploaded` as soon as it is stored, so a caller can
+// clean up after a failure part way through. Returns `uploaded`.
+async function attachVariantImages(variants, files, uploaded = []) {
+  for (const variant of variants) {
+    for (const name of variant.imageFiles) {
+      const file = files.find((f) => f.originalname === name);
+      const asset = await uploadProductImage(file);
+      variant.images.push(asset.url);
+      uploaded.push(asset);
+    }
+    delete variant.imageFiles;
+  }
+  return uploaded;
+}
+
+// Why `id` can't be given to a new or renamed product, or null if it is
+// free. Trashed products keep their id until they are purged.
+async function productIdConflict(id) {
+  const existing = await Product.findOne({ id }).setOptions({
+    withDeleted: true,
+  });
+  if (!existing) return null;
+  return existing.deletedAt
+    ? `Product ${id} is in the trash; restore it first`
+    : `Product ${id} already exists`;
+}
+
 // Upload Product
 app.post(
   "/upload",
-  isAuthenticated,
-  upload.array("images", 10),
+  can("catalog"),
+  upload.fields([
+    { name: "images", maxCount: 10 },
+    { name: "variantImages", maxCount: 20 },
+  ]),
   async (req, res) => {
+    const productFiles = req.files?.images || [];
+    const variantFiles = req.files?.variantImages || [];
+    // Every temp file, for cleanup
+    req.files = [...productFiles, ...variantFiles];
     try {
       const {
         id,
@@ -239,6 +1009,7 @@ app.post(
         colors,
         sizes,
         description,
+        weight,
       } = req.body;
 
       // Validate required fields
@@ -254,10 +1025,38 @@ app.post(
         });
       }
 
+      let stockFields;
+      let variants;
+      try {
+        stockFields = parseStockFields(req.body);
+        variants = parseVariants(req.body.variants, {
+          fileNames: variantFiles.map((f) => f.originalname),
+        });
+      } catch (err) {
+        console.error("Validation Error:", err.message);
+        req.files.forEach((f) =>
+          fs.unlink(f.path, (err) => {
+            if (err) console.error("Failed to delete local file:", err);
+          })
+        );
+        return res.status(400).json({ message: err.message });
+      }
+
+      // Checked before any image is uploaded
+      const conflict = await productIdConflict(id);
+      if (conflict) {
+        req.files.forEach((f) =>
+          fs.unlink(f.path, (err) => {
+            if (err) console.error("Failed to delete local file:", err);
+          })
+        );
+        return res.status(409).json({ message: conflict });
+      }
+
       // Handle multiple image uploads
-      const imageUrls = [];
-      if (req.files && req.files.length > 0) {
-        for (const file of req.files) {
+      const imageAssets = [];
+      if (productFiles.length > 0) {
+        for (const file of productFiles) {
           if (file.size > 10 * 1024 * 1024) {
             console.error("File too large:", {
               filename: file.originalname,
@@ -274,26 +1073,14 @@ app.post(
               .json({ message: "One or more images exceed 10MB limit" });
           }
 
-          const result = await cloudinary.uploader.upload(file.path, {
-            folder: "myr-surgical",
-            transformation: [
-              { width: 800, crop: "limit" },
-              { quality: "auto:good" },
-              { fetch_format: "auto" },
-            ],
-          });
-          imageUrls.push(result.secure_url);
-          console.log("Image uploaded to Cloudinary:", {
-            url: result.secure_url,
-            size: result.bytes,
-          });
-          fs.unlink(file.path, (err) => {
-            if (err) console.error("Failed to delete local file:", err);
-          });
+          imageAssets.push(await uploadProductImage(file));
         }
       } else {
         console.warn("No images uploaded");
       }
+      const imageUrls = imageAssets.map((a) => a.url);
+
+      const variantAssets = await attachVariantImages(variants, variantFiles);
 
       // Create and save product
       const product = new Product({
@@ -305,6 +1092,7 @@ app.post(
         mostSell: mostSell === "true",
         available: available === "true",
         images: imageUrls, // Use array of image URLs
+        imageAssets,
         colors: colors
           ? colors
               .split(",")
@@ -318,9 +1106,30 @@ app.post(
               .filter(Boolean)
           : [],
         description: description || "",
+        weight: weight ? parseFloat(weight) : 0,
+        ...stockFields,
+        variants,
+        ...(variants.length > 0 ? variantOptions(variants) : {}),
       });
 
-      await product.save();
+      try {
+        await product.save();
+      } catch (err) {
+        // Created in parallel or invalid: don't leave the images behind
+        await destroyProductImages([...imageAssets, ...variantAssets]);
+        if (err.code === 11000) {
+          return res
+            .status(409)
+            .json({ message: `Product ${id} already exists` });
+        }
+        throw err;
+      }
+      await recordAudit(req, {
+        entityType: "product",
+        entityId: product.id,
+        action: "create",
+        after: product,
+      });
       console.log("Product saved:", { id, name, images: imageUrls });
       res.json({ message: "Product saved", product });
     } catch (err) {
@@ -347,23 +1156,175 @@ app.post(
   }
 );
 
-// Get All Products
+// Get Products (filter, search, sort, paginate)
 app.get("/products", async (req, res) => {
+  let query;
   try {
-    const products = await Product.find();
-    res.json(products);
+    query = buildProductQuery(req.query);
   } catch (err) {
-    console.error("Products Error:", err);
-    res.status(500).json({ message: "Error loading products" });
+    return res.status(400).json({ message: err.message });
   }
-});
 
-// Update Product
+  try {
+    const [result] = await Product.aggregate(query.pipeline);
+    const total = result.total[0]?.count || 0;
+    res.json({
+      products: result.products.map((p) => Product.hydrate(p)),
+      total,
+      page: query.page,
+      limit: query.limit,
+      totalPages: Math.ceil(total / query.limit),
+    });
+  } catch (err) {
+    console.error("Products Error:", err);
+    res.status(500).json({ message: "Error loading products" });
+  }
+});
+
+// Bulk Import Products (CSV/JSON file or JSON body; ?dryRun=true to validate only)
+app.post(
+  "/admin/products/import",
+  can("catalog"),
+  importUpload.single("file"),
+  async (req, res) => {
+    let rows;
+    try {
+      if (req.file) {
+        const format =
+          req.query.format ||
+          (/\.json$/i.test(req.file.originalname) ? "json" : "csv");
+        rows = parseImportFile(req.file.buffer.toString("utf8"), format);
+      } else {
+        rows = Array.isArray(req.body) ? req.body : req.body?.products;
+        if (!Array.isArray(rows)) {
+          throw new Error("Send a CSV/JSON file or a JSON array of products");
+        }
+      }
+    } catch (err) {
+      return res.status(400).json({ message: err.message });
+    }
+
+    try {
+      const report = await importProducts(rows, {
+        dryRun: req.query.dryRun === "true",
+        uploadImage: uploadProductImageUrl,
+        onSaved: ({ action, before, after }) =>
+          recordAudit(req, {
+            entityType: "product",
+            entityId: after.id,
+            action: `import_${action}`,
+            before,
+            after,
+          }),
+      });
+      console.log("Products imported:", {
+        dryRun: report.dryRun,
+        created: report.created,
+        updated: report.updated,
+        failed: report.failed,
+      });
+      res.json(report);
+    } catch (err) {
+      console.error("Import Error:", err);
+      res.status(500).json({ message: "Import failed", error: err.message });
+    }
+  }
+);
+
+// Export Products (same columns the import reads)
+app.get("/admin/products/export", isAuthenticated, async (req, res) => {
+  const format = req.query.format || "csv";
+  if (!["csv", "json"].includes(format)) {
+    return res.status(400).json({ message: "format must be csv or json" });
+  }
+
+  try {
+    const filename = `products-${new Date().toISOString().slice(0, 10)}`;
+    if (format === "json") {
+      const products = await Product.find().sort({ id: 1 });
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename=${filename}.json`
+      );
+      return res.json(products.map(productToRow));
+    }
+
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename=${filename}.csv`
+    );
+    res.write(productCsvHeader());
+    for await (const product of Product.find().sort({ id: 1 }).cursor()) {
+      if (!res.write(productCsvRow(product))) await once(res, "drain");
+    }
+    res.end();
+  } catch (err) {
+    console.error("Product Export Error:", err);
+    if (res.headersSent) return res.destroy(err);
+    res.status(500).json({ message: "Export failed" });
+  }
+});
+
+// Low / Out of Stock Products
+app.get("/admin/products/low-stock", isAuthenticated, async (req, res) => {
+  try {
+    const products = await Product.find({
+      $or: [
+        {
+          $expr: {
+            $and: [
+              { $isNumber: "$stock" },
+              { $lte: ["$stock", "$lowStockThreshold"] },
+            ],
+          },
+        },
+        {
+          $expr: {
+            $anyElementTrue: {
+              $map: {
+                input: { $ifNull: ["$variants", []] },
+                as: "v",
+                in: {
+                  $and: [
+                    { $isNumber: "$$v.stock" },
+                    { $lte: ["$$v.stock", "$lowStockThreshold"] },
+                  ],
+                },
+              },
+            },
+          },
+        },
+      ],
+    }).sort({ stock: 1 });
+
+    res.json({
+      lowStock: products.filter((p) => p.stockStatus === "low_stock"),
+      outOfStock: products.filter((p) => p.stockStatus === "out_of_stock"),
+    });
+  } catch (err) {
+    console.error("Low Stock Error:", err);
+    res.status(500).json({ message: "Error loading stock report" });
+  }
+});
+
+// Update Product
 app.put(
   "/products/:id",
-  isAuthenticated,
-  upload.array("images", 10),
+  can("catalog"),
+  upload.fields([
+    { name: "images", maxCount: 10 },
+    { name: "variantImages", maxCount: 20 },
+  ]),
   async (req, res) => {
+    const productFiles = req.files?.images || [];
+    const variantFiles = req.files?.variantImages || [];
+    // Every temp file, for cleanup
+    req.files = [...productFiles, ...variantFiles];
+    // Assets uploaded by this request, deleted again if the update fails
+    const uploads = [];
+    const variantAssets = [];
+    let saved = false;
     try {
       const {
         id,
@@ -376,6 +1337,7 @@ app.put(
         colors,
         sizes,
         description,
+        weight,
       } = req.body;
 
       // Validate required fields
@@ -397,58 +1359,71 @@ app.put(
         console.error("Product not found:", { id: req.params.id });
         return res.status(404).json({ message: "Product not found" });
       }
+      const conflict = id !== req.params.id && (await productIdConflict(id));
+      if (conflict) {
+        req.files.forEach((f) =>
+          fs.unlink(f.path, (err) => {
+            if (err) console.error("Failed to delete local file:", err);
+          })
+        );
+        return res.status(409).json({ message: conflict });
+      }
 
-      // Handle multiple image uploads
-      let imageUrls = existingProduct.images || []; // Preserve existing images if no new uploads
-      if (req.files && req.files.length > 0) {
-        // Optionally delete old images from Cloudinary
-        if (existingProduct.images && existingProduct.images.length > 0) {
-          for (const imageUrl of existingProduct.images) {
-            const publicId = imageUrl.split("/").pop().split(".")[0]; // Extract public ID from URL
-            await cloudinary.uploader.destroy(`myr-surgical/${publicId}`);
-            console.log("Deleted old image from Cloudinary:", { publicId });
-          }
-        }
-
-        // Upload new images
-        imageUrls = [];
-        for (const file of req.files) {
-          if (file.size > 10 * 1024 * 1024) {
-            console.error("File too large:", {
-              filename: file.originalname,
-              size: file.size,
-            });
-            // Clean up all uploaded files on error
-            req.files.forEach((f) =>
-              fs.unlink(f.path, (err) => {
-                if (err) console.error("Failed to delete local file:", err);
-              })
-            );
-            return res
-              .status(400)
-              .json({ message: "One or more images exceed 10MB limit" });
-          }
-
-          const result = await cloudinary.uploader.upload(file.path, {
-            folder: "myr-surgical",
-            transformation: [
-              { width: 800, crop: "limit" },
-              { quality: "auto:good" },
-              { fetch_format: "auto" },
-            ],
-          });
-          imageUrls.push(result.secure_url);
-          console.log("Image uploaded to Cloudinary:", {
-            url: result.secure_url,
-            size: result.bytes,
+      let stockFields;
+      let variants;
+      let imagePlan;
+      try {
+        stockFields = parseStockFields(req.body);
+        // Existing images are kept unless listed in removeImages; new files
+        // are appended (or put first when named as primaryImage)
+        imagePlan = planImages(existingProduct, {
+          remove: parseImageList(req.body.removeImages, "removeImages"),
+          order: parseImageList(req.body.imageOrder, "imageOrder"),
+          primary: req.body.primaryImage,
+          fileNames: productFiles.map((f) => f.originalname),
+        });
+        // Variants are only replaced when the form sends them
+        if (req.body.variants !== undefined) {
+          variants = parseVariants(req.body.variants, {
+            existing: existingProduct.variants,
+            fileNames: variantFiles.map((f) => f.originalname),
           });
-          fs.unlink(file.path, (err) => {
+        }
+      } catch (err) {
+        console.error("Validation Error:", err.message);
+        req.files.forEach((f) =>
+          fs.unlink(f.path, (err) => {
             if (err) console.error("Failed to delete local file:", err);
+          })
+        );
+        return res.status(400).json({ message: err.message });
+      }
+
+      // Upload new images
+      for (const file of productFiles) {
+        if (file.size > 10 * 1024 * 1024) {
+          console.error("File too large:", {
+            filename: file.originalname,
+            size: file.size,
           });
+          // Clean up all uploaded files on error
+          req.files.forEach((f) =>
+            fs.unlink(f.path, (err) => {
+              if (err) console.error("Failed to delete local file:", err);
+            })
+          );
+          return res
+            .status(400)
+            .json({ message: "One or more images exceed 10MB limit" });
         }
-      } else {
-        console.warn("No new images uploaded, retaining existing images");
       }
+      for (const file of productFiles) {
+        uploads.push(await uploadProductImage(file));
+      }
+      const { images: imageUrls, imageAssets } = imageFields(
+        imagePlan.slots,
+        uploads
+      );
 
       // Prepare update fields
       const updateFields = {
@@ -460,6 +1435,7 @@ app.put(
         mostSell: mostSell === "true",
         available: available === "true",
         images: imageUrls, // Use array of image URLs
+        imageAssets,
         colors: colors
           ? colors
               .split(",")
@@ -473,10 +1449,47 @@ app.put(
               .filter(Boolean)
           : [],
         description: description || "",
+        weight: weight ? parseFloat(weight) : 0,
+        ...stockFields,
       };
+      if (variants) {
+        await attachVariantImages(variants, variantFiles, variantAssets);
+        updateFields.variants = variants;
+        if (variants.length > 0) {
+          Object.assign(updateFields, variantOptions(variants));
+        }
+      }
 
       // Update product
-      await Product.updateOne({ id: req.params.id }, { $set: updateFields });
+      await Product.updateOne(
+        { id: req.params.id },
+        { $set: updateFields },
+        { runValidators: true }
+      );
+      saved = true;
+      // Only images the admin removed, and those of variants that were
+      // dropped or lost them, are deleted from storage
+      const kept = new Set([
+        ...imageUrls,
+        ...(variants || []).flatMap((v) => v.images),
+      ]);
+      const droppedVariantImages = variants
+        ? existingProduct.variants
+            .flatMap((v) => v.images)
+            .filter((url, i, all) => !kept.has(url) && all.indexOf(url) === i)
+            .map((url) => ({ url, publicId: media.publicIdFromUrl(url) }))
+        : [];
+      await destroyProductImages([
+        ...imagePlan.removed,
+        ...droppedVariantImages,
+      ]);
+      await recordAudit(req, {
+        entityType: "product",
+        entityId: id,
+        action: "update",
+        before: existingProduct,
+        after: await Product.findOne({ id }),
+      });
       console.log("Product updated:", { id: req.params.id, images: imageUrls });
       res.json({ message: "Product updated", product: updateFields });
     } catch (err) {
@@ -496,18 +1509,149 @@ app.put(
           })
         );
       }
+      // The product still points at its old images; drop the new ones
+      if (!saved) await destroyProductImages([...uploads, ...variantAssets]);
+      if (err.code === 11000) {
+        return res
+          .status(409)
+          .json({ message: `Product ${req.body.id} already exists` });
+      }
       res.status(500).json({ message: "Update failed", error: err.message });
     }
   }
 );
 
+// Save a product's new image list, then delete the removed images
+async function saveProductImages(req, product, plan, uploads = []) {
+  const updated = await Product.findOneAndUpdate(
+    { id: product.id },
+    { $set: imageFields(plan.slots, uploads) },
+    { new: true }
+  );
+  await destroyProductImages(plan.removed);
+  await recordAudit(req, {
+    entityType: "product",
+    entityId: product.id,
+    action: "images",
+    before: product,
+    after: updated,
+  });
+  return updated;
+}
+
+// Add Product Images (appended; primaryImage=<file name> puts one first)
+app.post(
+  "/products/:id/images",
+  can("catalog"),
+  upload.array("images", 10),
+  async (req, res) => {
+    const files = req.files || [];
+    const cleanup = () =>
+      files.forEach((f) =>
+        fs.unlink(f.path, (err) => {
+          if (err) console.error("Failed to delete local file:", err);
+        })
+      );
+    try {
+      if (files.length === 0) {
+        return res.status(400).json({ message: "No images uploaded" });
+      }
+      const product = await Product.findOne({ id: req.params.id });
+      if (!product) {
+        cleanup();
+        return res.status(404).json({ message: "Product not found" });
+      }
+
+      let plan;
+      try {
+        plan = planImages(product, {
+          primary: req.body.primaryImage,
+          fileNames: files.map((f) => f.originalname),
+        });
+      } catch (err) {
+        cleanup();
+        return res.status(400).json({ message: err.message });
+      }
+
+      const uploads = [];
+      for (const file of files) uploads.push(await uploadProductImage(file));
+      const updated = await saveProductImages(req, product, plan, uploads);
+      res.json({ message: "Images added", product: updated });
+    } catch (err) {
+      console.error("Add Images Error:", err);
+      cleanup();
+      res.status(500).json({ message: "Failed to add images" });
+    }
+  }
+);
+
+// Reorder Product Images / set the primary image
+app.patch("/products/:id/images", can("catalog"), async (req, res) => {
+  try {
+    const product = await Product.findOne({ id: req.params.id });
+    if (!product) return res.status(404).json({ message: "Product not found" });
+
+    let plan;
+    try {
+      plan = planImages(product, {
+        order: parseImageList(req.body.order, "order"),
+        primary: req.body.primaryImage,
+      });
+    } catch (err) {
+      return res.status(400).json({ message: err.message });
+    }
+
+    const updated = await saveProductImages(req, product, plan);
+    res.json({ message: "Images updated", product: updated });
+  } catch (err) {
+    console.error("Reorder Images Error:", err);
+    res.status(500).json({ message: "Failed to update images" });
+  }
+});
+
+// Remove Product Images ({ urls: [...] }); only these are deleted from storage
+app.delete("/products/:id/images", can("catalog"), async (req, res) => {
+  try {
+    const product = await Product.findOne({ id: req.params.id });
+    if (!product) return res.status(404).json({ message: "Product not found" });
+
+    let plan;
+    try {
+      const urls = parseImageList(req.body?.urls, "urls");
+      if (urls.length === 0)
+        throw new Error("urls must list at least one image");
+      plan = planImages(product, { remove: urls });
+    } catch (err) {
+      return res.status(400).json({ message: err.message });
+    }
+
+    const updated = await saveProductImages(req, product, plan);
+    res.json({ message: "Images removed", product: updated });
+  } catch (err) {
+    console.error("Remove Images Error:", err);
+    res.status(500).json({ message: "Failed to remove images" });
+  }
+});
+
 // Delete Product
-app.delete("/products/:id", isAuthenticated, async (req, res) => {
+app.delete("/products/:id", can("catalog"), async (req, res) => {
   try {
-    const deleted = await Product.findOneAndDelete({ id: req.params.id });
+    // Moved to the trash; restorable until the purge job removes it
+    const deleted = await Product.findOneAndUpdate(
+      { id: req.params.id },
+      softDeleteUpdate(req.session.username),
+      { new: true }
+    );
     if (!deleted) return res.status(404).json({ message: "Not found" });
+    await recordAudit(req, {
+      entityType: "product",
+      entityId: deleted.id,
+      action: "delete",
+      before: { ...deleted.toObject(), deletedAt: null, deletedBy: null },
+      after: deleted,
+    });
     console.log("Product deleted:", { id: req.params.id });
-    res.json({ message: "Product deleted" });
+    res.json({ message: "Product moved to trash" });
   } catch (err) {
     console.error("Delete Error:", err);
     res.status(500).json({ message: "Delete failed" });
@@ -516,10 +1660,17 @@ app.delete("/products/:id", isAuthenticated, async (req, res) => {
 
 // ORDER WHATSAPP NOTIFICATION
 
+// Helper: sanitize template parameter (FB disallows new-lines/tabs and long runs of spaces)
+const sanitizeParam = (val) =>
+  String(val || "")
+    .replace(/[\n\r\t]+/g, " ")
+    .replace(/\s{2,}/g, " ")
+    .trim()
+    .slice(0, 1000); // keep reasonable length
+
 export async function sendWhatsAppOrderNotification(order) {
   try {
-    console.log("📤 Sending WhatsApp message...");
-    console.log("Phone ID:", process.env.WHATSAPP_PHONE_ID);
+    console.log("📤 Queueing WhatsApp messages...");
     console.log("To:", process.env.ADMIN_PHONE);
 
     // Use the correct fields from the Order model
@@ -528,14 +1679,6 @@ export async function sendWhatsAppOrderNotification(order) {
       typeof order.totalAmount === "number"
         ? order.totalAmount
         : order.total || 0;
-    // Helper: sanitize template parameter (FB disallows new-lines/tabs and long runs of spaces)
-    const sanitizeParam = (val) =>
-      String(val || "")
-        .replace(/[\n\r\t]+/g, " ")
-        .replace(/\s{2,}/g, " ")
-        .trim()
-        .slice(0, 1000); // keep reasonable length
-
     // Build items as a single-line string (no newlines)
     const itemsSingleLine = (order.cartItems || [])
       .map((item) => `${item.name} x${item.quantity} – Rs ${item.price}`)
@@ -548,11 +1691,13 @@ export async function sendWhatsAppOrderNotification(order) {
     // Admin panel link (use env override or sensible default)
     const adminPanelUrl = "https://www.myrsurgical.com/protected/admin";
 
-    // Send admin notification (template expects 5 params per your template)
-    await sendWhatsAppTemplate({
+    // Queue admin notification (template expects 5 params per your template)
+    await enqueueNotification({
+      order: order._id,
+      channel: "whatsapp",
       to: process.env.ADMIN_PHONE,
       templateName: "admin_order_created",
-      components: [
+      params: [
         {
           type: "body",
           parameters: [
@@ -566,25 +1711,38 @@ export async function sendWhatsAppOrderNotification(order) {
       ]
     });
 
-    // Send customer notification (template has 4 params)
-    await sendWhatsAppTemplate({
+    // Queue customer notification (template has 4 params)
+    await enqueueNotification({
+      order: order._id,
+      channel: "whatsapp",
       to: String(order.contact || "").replace(/^0/, "92"), // Pakistan format
       templateName: "customer_order_received",
-      components: [
+      params: [
         {
           type: "body",
           parameters: [
             { type: "text", text: sanitizeParam(order.orderId) },
             { type: "text", text: sanitizedCustomer },
             { type: "text", text: sanitizedItems },
-            { type: "text", text: totalStr }
-          ]
-        }
-      ]
+            { type: "text", text: totalStr },
+          ],
+        },
+        // Only for a template with a "track order" URL button
+        ...(process.env.WHATSAPP_TRACKING_BUTTON === "true"
+          ? [
+              {
+                type: "button",
+                sub_type: "url",
+                index: "0",
+                parameters: [{ type: "text", text: trackingPath(order) }],
+              },
+            ]
+          : []),
+      ],
     });
 
     
-    console.log("WhatsApp order notification sent for order:", order._id);
+    console.log("WhatsApp order notification queued for order:", order._id);
   } catch (error) {
     console.error(
       "WhatsApp Notification Error:",
@@ -593,12 +1751,138 @@ export async function sendWhatsAppOrderNotification(order) {
   }
 }
 
+// Notify customer that their order moved to a new status
+export async function sendWhatsAppStatusNotification(order) {
+  try {
+    const customerName = order.name || "Customer";
+    const statusLabel =
+      order.status.charAt(0).toUpperCase() + order.status.slice(1);
+
+    // Customer status update (template has 3 params)
+    await enqueueNotification({
+      order: order._id,
+      channel: "whatsapp",
+      to: String(order.contact || "").replace(/^0/, "92"), // Pakistan format
+      templateName: "customer_order_status_update",
+      params: [
+        {
+          type: "body",
+          parameters: [
+            { type: "text", text: sanitizeParam(order.orderId) },
+            { type: "text", text: sanitizeParam(customerName) },
+            { type: "text", text: sanitizeParam(statusLabel) },
+          ],
+        },
+      ],
+    });
+
+    console.log("WhatsApp status notification queued:", {
+      id: order._id,
+      status: order.status,
+    });
+  } catch (error) {
+    console.error(
+      "WhatsApp Status Notification Error:",
+      error?.response?.data || error
+    );
+  }
+}
+
+// Queue order confirmation emails: the customer (if they gave an email)
+// and an admin copy
+async function queueOrderConfirmationEmails(order) {
+  if (!isEmailConfigured()) return;
+  try {
+    if (order.email) {
+      await enqueueNotification({
+        order: order._id,
+        channel: "email",
+        to: order.email,
+        templateName: "order_confirmation",
+      });
+    }
+    if (process.env.ADMIN_EMAIL) {
+      await enqueueNotification({
+        order: order._id,
+        channel: "email",
+        to: process.env.ADMIN_EMAIL,
+        templateName: "order_confirmation_admin",
+      });
+    }
+  } catch (error) {
+    console.error("Email Notification Error:", error);
+  }
+}
+
+// Announce a new order: WhatsApp to the admin and customer, plus emails.
+// Cash on delivery orders are announced when placed, online ones once paid.
+async function notifyOrderPlaced(order) {
+  try {
+    await sendWhatsAppOrderNotification(order);
+  } catch (err) {
+    console.error("Failed to send WhatsApp notification:", err);
+  }
+  await queueOrderConfirmationEmails(order);
+}
+
+// Add an order's delivery address to the customer's address book, unless
+// it is already there
+async function saveOrderAddress(customer, order) {
+  const same = (a) =>
+    ORDER_ADDRESS_FIELDS.every(
+      (key) =>
+        String(a[key] || "")
+          .trim()
+          .toLowerCase() ===
+        String(order[key] || "")
+          .trim()
+          .toLowerCase()
+    );
+  if (customer.addresses.some(same)) return;
+  const address = {};
+  for (const key of ORDER_ADDRESS_FIELDS) address[key] = order[key];
+  customer.addresses.push(address);
+  settleDefaultAddress(customer);
+  await customer.save();
+}
+
+// Order fields the customer fills in at checkout. Everything else (prices,
+// status, stock, payment, timestamps, soft-delete markers) is set here.
+const CHECKOUT_FIELDS = [
+  "orderId",
+  "name",
+  "contact",
+  "email",
+  "city",
+  "houseNo",
+  "Block",
+  "Area",
+  "landmark",
+  "paymentMethod",
+];
+
 // Submit Order
-app.post("/orders", async (req, res) => {
+app.post("/orders", loadCustomer, async (req, res) => {
   try {
     const orderData = req.body;
     console.log("Received order data:", orderData);
 
+    // Signed-in customers can ship to a saved address
+    if (req.customer && orderData.addressId) {
+      const address = mongoose.isValidObjectId(orderData.addressId)
+        ? req.customer.addresses.id(orderData.addressId)
+        : null;
+      if (!address) {
+        return res
+          .status(400)
+          .json({ success: false, message: "Saved address not found" });
+      }
+      for (const key of ORDER_ADDRESS_FIELDS) orderData[key] = address[key];
+    }
+    if (req.customer && !orderData.email && req.customer.email) {
+      orderData.email = req.customer.email;
+    }
+
     // Validate required fields
     const requiredFields = [
       "orderId",
@@ -623,6 +1907,37 @@ app.post("/orders", async (req, res) => {
       }
     }
 
+    // Methods named after a payment provider are paid online and must be
+    // enabled; anything else (cash on delivery…) is settled offline
+    const paymentProvider = getPaymentProvider(orderData.paymentMethod);
+    const methodKey = String(orderData.paymentMethod).trim().toLowerCase();
+    if (!paymentProvider && PAYMENT_PROVIDERS.includes(methodKey)) {
+      console.error("Validation Error: Payment method", methodKey);
+      return res.status(400).json({
+        success: false,
+        message: `${orderData.paymentMethod} payments are not available`,
+      });
+    }
+
+    // Cash on delivery orders are confirmed with a code sent to the contact
+    // number before they reserve stock or reach the admin. Signed-in
+    // customers already proved their own number when signing in.
+    const verifyPhone =
+      !paymentProvider &&
+      codVerificationEnabled() &&
+      req.customer?.phoneKey !== phoneKey(orderData.contact);
+
+    // Email is optional, but must be valid when given
+    if (
+      orderData.email &&
+      !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(orderData.email).trim())
+    ) {
+      console.error("Validation Error: Invalid email", orderData.email);
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid email address" });
+    }
+
     // Validate cartItems
     if (
       !Array.isArray(orderData.cartItems) ||
@@ -636,17 +1951,56 @@ app.post("/orders", async (req, res) => {
     }
 
     for (const item of orderData.cartItems) {
-      if (!item.name || !item.price || !item.quantity) {
+      if (!(item.productId || item.id) || !item.price || !item.quantity) {
         console.error("Validation Error: Invalid cart item", item);
         return res.status(400).json({
           success: false,
-          message: "Each cart item must have name, price, and quantity",
+          message: "Each cart item must have productId, price, and quantity",
         });
       }
     }
 
-    // Check for duplicate orderId
-    const existingOrder = await Order.findOne({ orderId: orderData.orderId });
+    // Recompute prices and totals from the catalog; never trust the client
+    const pricing = await priceCart(
+      orderData.cartItems,
+      orderData.totalAmount,
+      {
+        couponCode: orderData.couponCode,
+        contact: orderData.contact,
+        city: orderData.city,
+      }
+    );
+    if (pricing.errors.length > 0) {
+      console.error("Validation Error: Unorderable cart items", pricing.errors);
+      return res.status(400).json({
+        success: false,
+        message: "Some items in your cart cannot be ordered",
+        errors: pricing.errors,
+      });
+    }
+    if (pricing.couponError) {
+      console.error("Validation Error: Coupon", pricing.couponError);
+      return res
+        .status(400)
+        .json({ success: false, message: pricing.couponError });
+    }
+    if (pricing.mismatches.length > 0) {
+      console.error("Validation Error: Price mismatch", pricing.mismatches);
+      return res.status(409).json({
+        success: false,
+        message: "Prices have changed, please review your cart",
+        errors: pricing.mismatches,
+        subtotal: pricing.subtotal,
+        discount: pricing.discount,
+        deliveryCharges: pricing.deliveryCharges,
+        totalAmount: pricing.totalAmount,
+      });
+    }
+
+    // Check for duplicate orderId (trashed orders keep theirs until purged)
+    const existingOrder = await Order.findOne({
+      orderId: orderData.orderId,
+    }).setOptions({ withDeleted: true });
     if (existingOrder) {
       console.error("Validation Error: Duplicate orderId", orderData.orderId);
       return res
@@ -654,26 +2008,145 @@ app.post("/orders", async (req, res) => {
         .json({ success: false, message: "Order ID already exists" });
     }
 
-    const newOrder = new Order(orderData);
-    await newOrder.save();
+    // Reserve stock before saving so two buyers can't take the last unit
+    // (orders awaiting phone verification reserve it once confirmed)
+    const shortItems = verifyPhone ? [] : await reserveStock(pricing.items);
+    if (shortItems.length > 0) {
+      console.error("Validation Error: Out of stock", shortItems);
+      return res.status(409).json({
+        success: false,
+        message: "Some items are out of stock",
+        errors: shortItems.map((item) => ({
+          productId: item.productId,
+          sku: item.sku,
+          name: item.name,
+          selectedColor: item.selectedColor,
+          selectedSize: item.selectedSize,
+          reason: "Insufficient stock",
+        })),
+      });
+    }
+
+    // Take one use of the coupon now that the order is going through
+    if (pricing.coupon && !(await redeemCoupon(pricing.coupon))) {
+      if (!verifyPhone) await releaseStock(pricing.items);
+      return res.status(409).json({
+        success: false,
+        message: "This coupon has reached its usage limit",
+      });
+    }
+
+    // Only checkout fields come from the client; every order starts as
+    // pending and the client cannot choose its own status
+    const checkoutFields = {};
+    for (const key of CHECKOUT_FIELDS) checkoutFields[key] = orderData[key];
+    const newOrder = new Order({
+      ...checkoutFields,
+      cartItems: pricing.items,
+      subtotal: pricing.subtotal,
+      couponCode: pricing.coupon?.code || null,
+      contactKey: phoneKey(orderData.contact),
+      couponPhone: pricing.coupon ? phoneKey(orderData.contact) : null,
+      couponRedeemed: Boolean(pricing.coupon),
+      discount: pricing.discount,
+      deliveryCharges: pricing.deliveryCharges,
+      totalAmount: pricing.totalAmount,
+      status: "pending",
+      statusHistory: [{ from: null, to: "pending", changedBy: "customer" }],
+      stockReserved: !verifyPhone,
+      customer: req.customer?._id || null,
+      payment: paymentProvider
+        ? { provider: paymentProvider.name, status: "pending" }
+        : { status: "not_required" },
+      verification: { status: verifyPhone ? "pending" : "not_required" },
+    });
+    let token;
+    try {
+      // Signed before saving so a failure here still gives back the stock
+      // and coupon use taken above
+      token = trackingToken(newOrder);
+      await newOrder.save();
+    } catch (err) {
+      if (!verifyPhone) await releaseStock(pricing.items);
+      if (pricing.coupon) await unredeemCoupon(pricing.coupon);
+      throw err;
+    }
+    if (!verifyPhone) {
+      recordSales(pricing.items).catch((err) =>
+        console.error("Failed to record sales:", err)
+      );
+    }
+    if (req.customer && orderData.saveAddress && !orderData.addressId) {
+      saveOrderAddress(req.customer, newOrder).catch((err) =>
+        console.error("Failed to save address:", err)
+      );
+    }
     console.log("Order saved:", {
       id: newOrder._id,
       orderId: newOrder.orderId,
     });
-    res
-      .status(201)
-      .json({ success: true, message: "Order placed", orderId: newOrder._id });
-    // Trigger WhatsApp notification asynchronously; don't block response
-    setImmediate(async () => {
+
+    // Online orders send the customer to the gateway's checkout and are
+    // announced from the payment callback. If starting checkout fails the
+    // customer can retry with POST /orders/:id/pay.
+    if (paymentProvider) {
+      let checkout = null;
+      try {
+        const started = await initiatePayment(newOrder, paymentProvider);
+        checkout = started.checkout || null;
+      } catch (err) {
+        console.error("Payment Initiation Error:", err);
+      }
+      return res.status(201).json({
+        success: true,
+        message: "Order placed, awaiting payment",
+        orderId: newOrder._id,
+        trackingToken: token,
+        payment: {
+          provider: paymentProvider.name,
+          status: "pending",
+          checkout,
+        },
+      });
+    }
+
+    // Unverified orders wait for POST /orders/:id/verify; if sending the
+    // code fails the customer can ask for it again
+    if (verifyPhone) {
+      let verification = { status: "pending" };
       try {
-        await sendWhatsAppOrderNotification(newOrder);
+        verification = { ...verification, ...(await sendOrderCode(newOrder)) };
       } catch (err) {
-        console.error("Failed to send WhatsApp notification:", err);
+        console.error("Order Verification Error:", err);
       }
+      return res.status(201).json({
+        success: true,
+        message:
+          "Order placed, enter the code sent to your WhatsApp to confirm it",
+        orderId: newOrder._id,
+        trackingToken: token,
+        verification,
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: "Order placed",
+      orderId: newOrder._id,
+      trackingToken: token,
     });
+    // Trigger WhatsApp notification asynchronously; don't block response
+    setImmediate(() => notifyOrderPlaced(newOrder));
 
     //    await sendWhatsAppOrderNotification(newOrder);
   } catch (err) {
+    // Placed in parallel with the same orderId; stock and coupon were
+    // already given back when the save failed
+    if (err.code === 11000) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Order ID already exists" });
+    }
     console.error("Order Error:", { message: err.message, stack: err.stack });
     res
       .status(500)
@@ -682,7 +2155,7 @@ app.post("/orders", async (req, res) => {
 });
 
 // Get All Orders
-app.get("/orders", async (req, res) => {
+app.get("/orders", isAuthenticated, async (req, res) => {
   try {
     const orders = await Order.find();
     res.json(orders);
@@ -692,89 +2165,1464 @@ app.get("/orders", async (req, res) => {
   }
 });
 
+// Search Orders (filter, sort, paginate, with totals)
+app.get("/admin/orders", isAuthenticated, async (req, res) => {
+  let query;
+  try {
+    query = buildOrderQuery(req.query);
+  } catch (err) {
+    return res.status(400).json({ success: false, message: err.message });
+  }
+
+  try {
+    const [result] = await Order.aggregate(query.pipeline);
+    const totals = result.totals[0] || {
+      count: 0,
+      subtotal: 0,
+      discount: 0,
+      deliveryCharges: 0,
+      totalAmount: 0,
+      averageOrderValue: 0,
+    };
+    delete totals._id;
+    res.json({
+      orders: result.orders.map((o) => Order.hydrate(o)),
+      total: totals.count,
+      page: query.page,
+      limit: query.limit,
+      totalPages: Math.ceil(totals.count / query.limit),
+      totals,
+      byStatus: result.byStatus.map((s) => ({
+        status: s._id,
+        count: s.count,
+        totalAmount: s.totalAmount,
+      })),
+    });
+  } catch (err) {
+    console.error("Order Search Error:", err);
+    res.status(500).json({ success: false, message: "Fetch failed" });
+  }
+});
+
+// Export Orders (CSV / XLSX, one row per order or per cart line)
+app.get("/admin/orders/export", isAuthenticated, async (req, res) => {
+  const format = req.query.format || "csv";
+  const mode = req.query.mode || "order";
+  let filter;
+  try {
+    if (!EXPORT_FORMATS.includes(format)) {
+      throw new Error(`format must be one of: ${EXPORT_FORMATS.join(", ")}`);
+    }
+    if (!EXPORT_MODES.includes(mode)) {
+      throw new Error(`mode must be one of: ${EXPORT_MODES.join(", ")}`);
+    }
+    filter = buildOrderFilter(req.query);
+  } catch (err) {
+    return res.status(400).json({ success: false, message: err.message });
+  }
+
+  try {
+    const orders = Order.find(filter).sort({ createdAt: 1 }).cursor();
+    await streamOrderExport(orders, res, { format, mode });
+  } catch (err) {
+    console.error("Order Export Error:", err);
+    // Part of the file may already be sent; cut it off rather than append JSON
+    if (res.headersSent) return res.destroy(err);
+    res.status(500).json({ success: false, message: "Export failed" });
+  }
+});
+
 // Get Single Order
-app.get("/orders/:id", async (req, res) => {
+app.get("/orders/:id", isAuthenticated, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({ message: "Order not found" });
+    }
+    res.json(order);
+  } catch (err) {
+    console.error("Order Fetch Error:", err);
+    res.status(500).json({ message: "Failed to fetch order" });
+  }
+});
+
+//     CUSTOMER ACCOUNTS
+const ADDRESS_FIELDS = [
+  "label",
+  "name",
+  "contact",
+  "city",
+  "houseNo",
+  "Block",
+  "Area",
+  "landmark",
+  "isDefault",
+];
+// Address fields an order copies from the address book
+const ORDER_ADDRESS_FIELDS = ADDRESS_FIELDS.filter(
+  (key) => key !== "label" && key !== "isDefault"
+);
+
+function addressFieldsFrom(body) {
+  const fields = {};
+  for (const key of ADDRESS_FIELDS) {
+    if (body[key] !== undefined) fields[key] = body[key];
+  }
+  return fields;
+}
+
+// Exactly one default address: the given one, else the first
+function settleDefaultAddress(customer, preferred = null) {
+  const target =
+    preferred ||
+    customer.addresses.find((a) => a.isDefault) ||
+    customer.addresses[0];
+  customer.addresses.forEach((a) => {
+    a.isDefault = Boolean(target && a._id.equals(target._id));
+  });
+}
+
+const customerView = (customer) => ({
+  id: customer._id,
+  phone: customer.phone,
+  name: customer.name,
+  email: customer.email,
+  hasPassword: Boolean(customer.passwordHash),
+  addresses: customer.addresses,
+  createdAt: customer.createdAt,
+});
+
+function sendCustomerSaveError(res, err) {
+  if (err.name === "ValidationError" || err.name === "CastError") {
+    return res.status(400).json({ success: false, message: err.message });
+  }
+  console.error("Customer save error:", err);
+  res.status(500).json({ success: false, message: "Failed to save" });
+}
+
+// Send a sign-in code to a phone number by WhatsApp
+app.post("/customer/otp", async (req, res) => {
+  try {
+    const key = phoneKey(req.body?.phone);
+    if (key.length < 10) {
+      return res
+        .status(400)
+        .json({ success: false, message: "A valid phone number is required" });
+    }
+    // No new codes while sign-in for this number is locked
+    const until = await lockedUntil(req.ip, `customer:${key}`, "storefront");
+    if (until) return sendLocked(res, until);
+
+    const result = await issueOtp(`login:${key}`, req.body.phone);
+    if (result.retryAfter) {
+      res.set("Retry-After", String(result.retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: "Please wait before requesting another code",
+        retryAfter: result.retryAfter,
+      });
+    }
+    res.json({
+      success: true,
+      message: "Code sent",
+      expiresIn: result.expiresIn,
+    });
+  } catch (err) {
+    console.error("Customer OTP Error:", err);
+    res.status(500).json({ success: false, message: "Failed to send code" });
+  }
+});
+
+// Sign in with the code; the first sign-in creates the account
+app.post("/customer/login/otp", async (req, res) => {
+  try {
+    const { phone, code, name } = req.body || {};
+    const key = phoneKey(phone);
+    // Shares the password login's throttle, so code and password guesses
+    // count together
+    const throttleKey = `customer:${key}`;
+    const until = await lockedUntil(req.ip, throttleKey, "storefront");
+    if (until) return sendLocked(res, until);
+
+    if (key.length < 10 || !(await verifyOtp(`login:${key}`, code))) {
+      await recordLoginFailure(req.ip, throttleKey, "storefront");
+      return res
+        .status(401)
+        .json({ success: false, message: "Invalid or expired code" });
+    }
+    await clearLoginFailures(throttleKey);
+
+    let customer = await Customer.findOne({ phoneKey: key });
+    const created = !customer;
+    if (!customer) {
+      try {
+        customer = await Customer.create({
+          phone: String(phone).trim(),
+          phoneKey: key,
+          name: String(name || "").trim(),
+        });
+      } catch (err) {
+        // Registered by a parallel request
+        if (err.code !== 11000) throw err;
+        customer = await Customer.findOne({ phoneKey: key });
+      }
+    }
+
+    await startCustomerSession(req, res, customer);
+    console.log("Customer signed in:", { id: customer._id, created });
+    res.json({ success: true, created, customer: customerView(customer) });
+  } catch (err) {
+    console.error("Customer Login Error:", err);
+    res.status(500).json({ success: false, message: "Login failed" });
+  }
+});
+
+// Sign in with phone number and password
+app.post("/customer/login", async (req, res) => {
+  try {
+    const { phone, password } = req.body || {};
+    const key = phoneKey(phone);
+    // Throttled like admin logins, on a key of its own
+    const throttleKey = `customer:${key}`;
+    const until = await lockedUntil(req.ip, throttleKey, "storefront");
+    if (until) return sendLocked(res, until);
+
+    const customer =
+      key.length === 10 && (await Customer.findOne({ phoneKey: key }));
+    const ok =
+      customer?.passwordHash &&
+      (await bcrypt.compare(String(password || ""), customer.passwordHash));
+    if (!ok) {
+      await recordLoginFailure(req.ip, throttleKey, "storefront");
+      return res
+        .status(401)
+        .json({ success: false, message: "Invalid phone number or password" });
+    }
+
+    await clearLoginFailures(throttleKey);
+    await startCustomerSession(req, res, customer);
+    res.json({ success: true, customer: customerView(customer) });
+  } catch (err) {
+    console.error("Customer Login Error:", err);
+    res.status(500).json({ success: false, message: "Login failed" });
+  }
+});
+
+app.post("/customer/logout", async (req, res) => {
+  try {
+    await endCustomerSession(req, res);
+    res.json({ success: true });
+  } catch (err) {
+    console.error("Customer Logout Error:", err);
+    res.status(500).json({ success: false });
+  }
+});
+
+// Customer profile
+app.get("/me", isCustomer, (req, res) => {
+  res.json({ success: true, customer: customerView(req.customer) });
+});
+
+// Update name/email, or set a password (the current one is needed to change it)
+app.patch("/me", isCustomer, async (req, res) => {
+  try {
+    const customer = req.customer;
+    const { name, email, password, currentPassword } = req.body || {};
+    if (name !== undefined) customer.name = String(name).trim();
+    if (email !== undefined) customer.email = email ? String(email) : null;
+
+    if (password !== undefined) {
+      if (typeof password !== "string" || password.length < 8) {
+        return res.status(400).json({
+          success: false,
+          message: "Password must be at least 8 characters",
+        });
+      }
+      if (
+        customer.passwordHash &&
+        !(await bcrypt.compare(
+          String(currentPassword || ""),
+          customer.passwordHash
+        ))
+      ) {
+        return res
+          .status(401)
+          .json({ success: false, message: "Current password is incorrect" });
+      }
+      customer.passwordHash = await bcrypt.hash(password, 12);
+    }
+
+    await customer.save();
+    // A stolen session must not outlive a password change
+    if (password !== undefined) await endOtherCustomerSessions(req, customer);
+    res.json({ success: true, customer: customerView(customer) });
+  } catch (err) {
+    sendCustomerSaveError(res, err);
+  }
+});
+
+// Address book
+app.get("/me/addresses", isCustomer, (req, res) => {
+  res.json({ success: true, addresses: req.customer.addresses });
+});
+
+app.post("/me/addresses", isCustomer, async (req, res) => {
+  try {
+    const customer = req.customer;
+    customer.addresses.push(addressFieldsFrom(req.body || {}));
+    const address = customer.addresses[customer.addresses.length - 1];
+    settleDefaultAddress(customer, address.isDefault ? address : null);
+    await customer.save();
+    res
+      .status(201)
+      .json({ success: true, address, addresses: customer.addresses });
+  } catch (err) {
+    sendCustomerSaveError(res, err);
+  }
+});
+
+app.put("/me/addresses/:addressId", isCustomer, async (req, res) => {
+  try {
+    const customer = req.customer;
+    const address = mongoose.isValidObjectId(req.params.addressId)
+      ? customer.addresses.id(req.params.addressId)
+      : null;
+    if (!address) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Address not found" });
+    }
+    address.set(addressFieldsFrom(req.body || {}));
+    settleDefaultAddress(customer, address.isDefault ? address : null);
+    await customer.save();
+    res.json({ success: true, address, addresses: customer.addresses });
+  } catch (err) {
+    sendCustomerSaveError(res, err);
+  }
+});
+
+app.delete("/me/addresses/:addressId", isCustomer, async (req, res) => {
+  try {
+    const customer = req.customer;
+    const address = mongoose.isValidObjectId(req.params.addressId)
+      ? customer.addresses.id(req.params.addressId)
+      : null;
+    if (!address) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Address not found" });
+    }
+    address.deleteOne();
+    settleDefaultAddress(customer);
+    await customer.save();
+    res.json({ success: true, addresses: customer.addresses });
+  } catch (err) {
+    sendCustomerSaveError(res, err);
+  }
+});
+
+// Order history: orders placed while signed in, plus earlier guest orders
+// from the same (OTP-verified) phone number
+app.get("/me/orders", isCustomer, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const filter = {
+      $or: [
+        { customer: req.customer._id },
+        { contactKey: req.customer.phoneKey },
+      ],
+    };
+    const [orders, total] = await Promise.all([
+      Order.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Order.countDocuments(filter),
+    ]);
+    res.json({
+      success: true,
+      orders: orders.map((order) => {
+        const token = trackingToken(order);
+        return {
+          ...publicOrderView(order),
+          trackingToken: token,
+          trackingUrl: `/track/${order._id}?token=${token}`,
+          receiptUrl: `/track/${order._id}/receipt?token=${token}`,
+        };
+      }),
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+    });
+  } catch (err) {
+    console.error("Customer Orders Error:", err);
+    res.status(500).json({ success: false, message: "Fetch failed" });
+  }
+});
+
+//     ORDER TRACKING
+// Customers can only reach their own order: by orderId + phone, or by the
+// signed link from their confirmation message
+async function findTrackedOrder(req, res) {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(404).json({ success: false, message: "Order not found" });
+    return null;
+  }
+  const order = await Order.findById(req.params.id);
+  if (!order || !verifyTrackingToken(order, req.query.token)) {
+    res.status(404).json({ success: false, message: "Order not found" });
+    return null;
+  }
+  return order;
+}
+
+// Look up an order by orderId + phone number
+app.post("/track", async (req, res) => {
+  try {
+    const { orderId, phone } = req.body || {};
+    const key = phoneKey(phone);
+    if (!orderId || key.length < 10) {
+      return res.status(400).json({
+        success: false,
+        message: "orderId and phone number are required",
+      });
+    }
+
+    const order = await Order.findOne({ orderId: String(orderId) });
+    // Same answer for a wrong orderId and a wrong phone number
+    if (!order || phoneKey(order.contact) !== key) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Order not found" });
+    }
+
+    res.json({
+      success: true,
+      order: publicOrderView(order),
+      trackingToken: trackingToken(order),
+    });
+  } catch (err) {
+    console.error("Order Tracking Error:", err);
+    res.status(500).json({ success: false, message: "Tracking failed" });
+  }
+});
+
+// Order status via signed link
+app.get("/track/:id", async (req, res) => {
+  try {
+    const order = await findTrackedOrder(req, res);
+    if (!order) return;
+    res.json({ success: true, order: publicOrderView(order) });
+  } catch (err) {
+    console.error("Order Tracking Error:", err);
+    res.status(500).json({ success: false, message: "Tracking failed" });
+  }
+});
+
+// Receipt PDF via signed link
+app.get("/track/:id/receipt", async (req, res) => {
+  try {
+    const order = await findTrackedOrder(req, res);
+    if (!order) return;
+
+    const disposition = req.query.download === "true" ? "attachment" : "inline";
+    const doc = createReceipt(order);
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader(
+      "Content-Disposition",
+      `${disposition}; filename=receipt-${order._id}.pdf`
+    );
+    doc.pipe(res);
+    doc.end();
+  } catch (err) {
+    console.error("Tracked receipt error:", {
+      message: err.message,
+      stack: err.stack,
+    });
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to generate receipt" });
+  }
+});
+
+// Confirm a cash on delivery order with the code sent to its contact number
+// (signed tracking link)
+app.post("/orders/:id/verify", async (req, res) => {
+  try {
+    const order = await findTrackedOrder(req, res);
+    if (!order) return;
+
+    // Code guesses are throttled like logins, per order
+    const throttleKey = `order:${order._id}`;
+    const until = await lockedUntil(req.ip, throttleKey, "storefront");
+    if (until) return sendLocked(res, until);
+
+    const {
+      code,
+      error,
+      errors,
+      wrongCode,
+      order: verified,
+    } = await verifyOrder(order, req.body?.code);
+    if (wrongCode) await recordLoginFailure(req.ip, throttleKey, "storefront");
+    if (error) {
+      return res
+        .status(code)
+        .json({ success: false, message: error, ...(errors && { errors }) });
+    }
+
+    res.json({
+      success: true,
+      message: "Order confirmed",
+      order: publicOrderView(verified),
+    });
+    setImmediate(() => notifyOrderPlaced(verified));
+  } catch (err) {
+    console.error("Order Verification Error:", err);
+    res.status(500).json({ success: false, message: "Failed to verify order" });
+  }
+});
+
+// Send the order confirmation code again
+app.post("/orders/:id/verify/resend", async (req, res) => {
+  try {
+    const order = await findTrackedOrder(req, res);
+    if (!order) return;
+    if (
+      order.verification?.status !== "pending" ||
+      (order.status || "pending") !== "pending"
+    ) {
+      return res.status(409).json({
+        success: false,
+        message: "This order does not need verification",
+      });
+    }
+    const until = await lockedUntil(req.ip, `order:${order._id}`, "storefront");
+    if (until) return sendLocked(res, until);
+
+    const result = await sendOrderCode(order);
+    if (result.retryAfter) {
+      res.set("Retry-After", String(result.retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: "Please wait before requesting another code",
+        retryAfter: result.retryAfter,
+      });
+    }
+    res.json({
+      success: true,
+      message: "Code sent",
+      expiresIn: result.expiresIn,
+    });
+  } catch (err) {
+    console.error("Order Verification Error:", err);
+    res.status(500).json({ success: false, message: "Failed to send code" });
+  }
+});
+
+//     PAYMENTS
+
+// Payment methods the storefront can offer
+app.get("/payments/methods", (req, res) => {
+  res.json({
+    success: true,
+    methods: [
+      { name: "COD", label: "Cash on Delivery" },
+      ...enabledPaymentProviders(),
+    ],
+  });
+});
+
+// Start or retry online payment of an order (signed tracking link). The
+// body may name another enabled provider to switch to.
+app.post("/orders/:id/pay", async (req, res) => {
+  try {
+    const order = await findTrackedOrder(req, res);
+    if (!order) return;
+
+    const provider = getPaymentProvider(
+      req.body?.provider || order.payment?.provider
+    );
+    if (!provider) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Payment method is not available" });
+    }
+
+    const { checkout, code, error } = await initiatePayment(order, provider);
+    if (error) {
+      return res.status(code).json({ success: false, message: error });
+    }
+    res.json({ success: true, message: "Payment started", checkout });
+  } catch (err) {
+    console.error("Payment Initiation Error:", err);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to start payment" });
+  }
+});
+
+// Checkout page of the mock gateway (development and testing only)
+app.get("/payments/mock/checkout", async (req, res) => {
+  try {
+    const provider = getPaymentProvider("mock");
+    const { txnRef } = req.query;
+    const order =
+      provider && typeof txnRef === "string"
+        ? await Order.findOne({
+            "payment.provider": "mock",
+            "payment.txnRef": txnRef,
+            "payment.status": "pending",
+          })
+        : null;
+    if (!order) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Payment not found" });
+    }
+
+    res.type("html").send(
+      provider.checkoutPage({
+        txnRef,
+        amount: order.totalAmount,
+        description: `Order ${order.orderId}`,
+        returnUrl: `${paymentBaseUrl()}/payments/mock/callback`,
+      })
+    );
+  } catch (err) {
+    console.error("Mock Checkout Error:", err);
+    res.status(500).json({ success: false, message: "Checkout failed" });
+  }
+});
+
+// Signed payment result from a gateway: either the customer's browser coming
+// back from checkout or the gateway's server-to-server notification (IPN)
+app.post("/payments/:provider/callback", async (req, res) => {
+  try {
+    const provider = getPaymentProvider(req.params.provider);
+    if (!provider) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Unknown payment provider" });
+    }
+
+    const { order, paid, code, error } = await applyPaymentCallback(
+      provider,
+      req.body || {}
+    );
+    if (error) {
+      console.error("Payment Callback Error:", {
+        provider: provider.name,
+        error,
+      });
+      return res.status(code).json({ success: false, message: error });
+    }
+
+    if (paid && order.status === "cancelled") {
+      // Paid after the payment window closed; the money has to go back
+      console.error("Payment received for cancelled order, refund needed:", {
+        id: order._id,
+        orderId: order.orderId,
+        transactionId: order.payment.transactionId,
+      });
+    } else if (paid) {
+      setImmediate(() => notifyOrderPlaced(order));
+    }
+
+    // Send browsers back to the storefront; gateways get JSON
+    const returnUrl = process.env.PAYMENT_RETURN_URL;
+    if (returnUrl && req.accepts(["json", "html"]) === "html") {
+      const query = new URLSearchParams({
+        order: String(order._id),
+        token: trackingToken(order),
+        payment: order.payment.status,
+      });
+      return res.redirect(303, `${returnUrl}?${query}`);
+    }
+    res.json({ success: true, paymentStatus: order.payment.status });
+  } catch (err) {
+    console.error("Payment Callback Error:", err);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to process payment" });
+  }
+});
+
+// Update Order Status
+app.patch("/orders/:id/status", can("orders"), async (req, res) => {
+  try {
+    const { status, note } = req.body;
+
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid order ID" });
+    }
+    if (!ORDER_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status. Allowed: ${ORDER_STATUSES.join(", ")}`,
+      });
+    }
+
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Order not found" });
+    }
+
+    const result = await changeOrderStatus(order, status, {
+      changedBy: req.session.username || "admin",
+      note,
+    });
+    if (result.error) {
+      return res.status(result.code).json({
+        success: false,
+        message: result.error,
+        allowed: result.allowed,
+      });
+    }
+    const updated = result.order;
+    await recordAudit(req, {
+      entityType: "order",
+      entityId: order._id,
+      action: "status",
+      before: order,
+      after: updated,
+    });
+
+    res.json({
+      success: true,
+      message: "Order status updated",
+      order: updated,
+    });
+
+    // Notify the customer asynchronously; don't block response
+    setImmediate(async () => {
+      try {
+        await sendWhatsAppStatusNotification(updated);
+      } catch (err) {
+        console.error("Failed to send WhatsApp status notification:", err);
+      }
+    });
+  } catch (err) {
+    console.error("Order Status Error:", err);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to update order status" });
+  }
+});
+
+// Delete Order
+app.delete("/orders/:id", can("orders"), async (req, res) => {
+  try {
+    const deleted = await Order.findByIdAndUpdate(
+      req.params.id,
+      softDeleteUpdate(req.session.username),
+      { new: true }
+    );
+    if (!deleted) return res.status(404).json({ message: "Order not found" });
+    // A deleted order no longer holds stock or a coupon use; restoring it
+    // takes them again
+    await restockOrder(deleted);
+    await releaseOrderCoupon(deleted);
+    await recordAudit(req, {
+      entityType: "order",
+      entityId: deleted._id,
+      action: "delete",
+      before: { ...deleted.toObject(), deletedAt: null, deletedBy: null },
+      after: deleted,
+    });
+    console.log("Order deleted:", { id: req.params.id });
+    res.json({ message: "Order moved to trash" });
+  } catch (err) {
+    console.error("Delete Order Error:", err);
+    res.status(500).json({ message: "Failed to delete order" });
+  }
+});
+//     WHATSAPP WEBHOOK
+// Meta verify-token handshake
+app.get("/webhooks/whatsapp", (req, res) => {
+  const mode = req.query["hub.mode"];
+  const token = req.query["hub.verify_token"];
+  const challenge = req.query["hub.challenge"];
+
+  if (
+    mode === "subscribe" &&
+    process.env.WHATSAPP_VERIFY_TOKEN &&
+    token === process.env.WHATSAPP_VERIFY_TOKEN
+  ) {
+    console.log("WhatsApp webhook verified");
+    return res.status(200).send(challenge);
+  }
+  console.error("WhatsApp webhook verification failed:", { mode });
+  res.sendStatus(403);
+});
+
+// Delivery receipts and inbound customer messages
+app.post("/webhooks/whatsapp", async (req, res) => {
+  if (!verifyWebhookSignature(req.rawBody, req.get("X-Hub-Signature-256"))) {
+    console.error("WhatsApp webhook: invalid signature");
+    return res.sendStatus(401);
+  }
+
+  try {
+    await processWhatsAppWebhook(req.body, {
+      onStatusChange: sendWhatsAppStatusNotification,
+    });
+    res.sendStatus(200);
+  } catch (err) {
+    // Non-200 makes Meta redeliver; messages already acted on are skipped
+    console.error("WhatsApp webhook error:", err);
+    res.sendStatus(500);
+  }
+});
+
+// Inbound WhatsApp messages, newest first, optionally for one order
+app.get("/admin/inbound-messages", isAuthenticated, async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.order) {
+      if (!mongoose.isValidObjectId(req.query.order)) {
+        return res
+          .status(400)
+          .json({ success: false, message: "Invalid order ID" });
+      }
+      filter.order = req.query.order;
+    }
+    const messages = await InboundMessage.find(filter)
+      .sort({ receivedAt: -1 })
+      .limit(200)
+      .populate("order", "orderId name status");
+    res.json(messages);
+  } catch (err) {
+    console.error("Inbound messages fetch error:", err);
+    res.status(500).json({ success: false, message: "Fetch failed" });
+  }
+});
+
+//     NOTIFICATIONS
+// List outbox notifications (defaults to failed ones; status=all for every one)
+app.get("/admin/notifications", isAuthenticated, async (req, res) => {
+  try {
+    const filter = {};
+    const status = req.query.status || "failed";
+    if (status !== "all") filter.status = status;
+    if (req.query.order) {
+      if (!mongoose.isValidObjectId(req.query.order)) {
+        return res
+          .status(400)
+          .json({ success: false, message: "Invalid order ID" });
+      }
+      filter.order = req.query.order;
+    }
+    if (req.query.channel) filter.channel = req.query.channel;
+
+    const notifications = await Notification.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(200)
+      .populate("order", "orderId name contact");
+    res.json(notifications);
+  } catch (err) {
+    console.error("Notifications fetch error:", err);
+    res.status(500).json({ success: false, message: "Fetch failed" });
+  }
+});
+
+// Resend failed notifications for an order
+app.post(
+  "/admin/orders/:id/notifications/resend",
+  can("orders"),
+  async (req, res) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) {
+        return res
+          .status(400)
+          .json({ success: false, message: "Invalid order ID" });
+      }
+      const requeued = await requeueNotifications({ order: req.params.id });
+      console.log("Notifications requeued:", {
+        order: req.params.id,
+        requeued,
+      });
+      res.json({ success: true, requeued });
+    } catch (err) {
+      console.error("Notification resend error:", err);
+      res.status(500).json({ success: false, message: "Resend failed" });
+    }
+  }
+);
+
+// Resend a single failed notification
+app.post("/admin/notifications/:id/resend", can("orders"), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid notification ID" });
+    }
+    const requeued = await requeueNotifications({ _id: req.params.id });
+    if (requeued === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "No failed notification with this ID",
+      });
+    }
+    res.json({ success: true, requeued });
+  } catch (err) {
+    console.error("Notification resend error:", err);
+    res.status(500).json({ success: false, message: "Resend failed" });
+  }
+});
+
+//     COUPONS
+// Validate Coupon against a cart (storefront)
+app.post("/coupons/validate", async (req, res) => {
+  try {
+    const { code, cartItems, contact, city } = req.body;
+    if (!code) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Coupon code is required" });
+    }
+    if (!Array.isArray(cartItems) || cartItems.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Cart items must be a non-empty array",
+      });
+    }
+
+    const pricing = await priceCart(cartItems, undefined, {
+      couponCode: code,
+      contact,
+      city,
+    });
+    if (pricing.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Some items in your cart cannot be ordered",
+        errors: pricing.errors,
+      });
+    }
+    if (pricing.couponError) {
+      return res
+        .status(400)
+        .json({ success: false, message: pricing.couponError });
+    }
+
+    res.json({
+      success: true,
+      code: pricing.coupon.code,
+      subtotal: pricing.subtotal,
+      discount: pricing.discount,
+      deliveryCharges: pricing.deliveryCharges,
+      totalAmount: pricing.totalAmount,
+    });
+  } catch (err) {
+    console.error("Coupon validate error:", err);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to validate coupon" });
+  }
+});
+
+// Pick the admin-editable coupon fields from a request body
+function couponFieldsFrom(body) {
+  const fields = {};
+  for (const key of COUPON_FIELDS) {
+    if (body[key] !== undefined) fields[key] = body[key];
+  }
+  return fields;
+}
+
+// Answer coupon save errors: bad input is 400, a taken code is 409
+function sendCouponSaveError(res, err) {
+  if (err.name === "ValidationError" || err.name === "CastError") {
+    return res.status(400).json({ success: false, message: err.message });
+  }
+  if (err.code === 11000) {
+    return res
+      .status(409)
+      .json({ success: false, message: "Coupon code already exists" });
+  }
+  console.error("Coupon save error:", err);
+  res.status(500).json({ success: false, message: "Failed to save coupon" });
+}
+
+app.get("/admin/coupons", isAuthenticated, async (req, res) => {
+  try {
+    const coupons = await Coupon.find().sort({ createdAt: -1 });
+    res.json(coupons);
+  } catch (err) {
+    console.error("Coupons fetch error:", err);
+    res.status(500).json({ success: false, message: "Fetch failed" });
+  }
+});
+
+// Create Coupon
+app.post("/admin/coupons", can("catalog"), async (req, res) => {
+  try {
+    const coupon = new Coupon(couponFieldsFrom(req.body));
+    await coupon.save();
+    console.log("Coupon created:", { code: coupon.code });
+    res.status(201).json({ success: true, coupon });
+  } catch (err) {
+    sendCouponSaveError(res, err);
+  }
+});
+
+// Update Coupon
+app.put("/admin/coupons/:id", can("catalog"), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid coupon ID" });
+    }
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Coupon not found" });
+    }
+    coupon.set(couponFieldsFrom(req.body));
+    await coupon.save();
+    console.log("Coupon updated:", { code: coupon.code });
+    res.json({ success: true, coupon });
+  } catch (err) {
+    sendCouponSaveError(res, err);
+  }
+});
+
+// Delete Coupon
+app.delete("/admin/coupons/:id", can("catalog"), async (req, res) => {
+  try {
+    const deleted = await Coupon.findByIdAndDelete(req.params.id);
+    if (!deleted) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Coupon not found" });
+    }
+    console.log("Coupon deleted:", { code: deleted.code });
+    res.json({ success: true });
+  } catch (err) {
+    console.error("Coupon delete error:", err);
+    res.status(500).json({ success: false, message: "Delete failed" });
+  }
+});
+
+//     SHIPPING
+// Delivery quote for a cart (storefront)
+app.post("/shipping/quote", async (req, res) => {
+  try {
+    const { city, cartItems, couponCode, contact } = req.body;
+    if (!Array.isArray(cartItems) || cartItems.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Cart items must be a non-empty array",
+      });
+    }
+
+    const pricing = await priceCart(cartItems, undefined, {
+      couponCode,
+      contact,
+      city,
+    });
+    if (pricing.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Some items in your cart cannot be ordered",
+        errors: pricing.errors,
+      });
+    }
+
+    res.json({
+      success: true,
+      subtotal: pricing.subtotal,
+      discount: pricing.discount,
+      couponError: pricing.couponError,
+      deliveryCharges: pricing.deliveryCharges,
+      deliveryBreakdown: pricing.deliveryBreakdown,
+      totalAmount: pricing.totalAmount,
+    });
+  } catch (err) {
+    console.error("Shipping quote error:", err);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to quote delivery" });
+  }
+});
+
+// Pick the admin-editable shipping rule fields from a request body
+function shippingRuleFieldsFrom(body) {
+  const fields = {};
+  for (const key of SHIPPING_RULE_FIELDS) {
+    if (body[key] !== undefined) fields[key] = body[key];
+  }
+  return fields;
+}
+
+// Answer shipping rule save errors: bad input is 400, a taken city is 409
+function sendShippingRuleSaveError(res, err) {
+  if (err.name === "ValidationError" || err.name === "CastError") {
+    return res.status(400).json({ success: false, message: err.message });
+  }
+  if (err.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      message: "A shipping rule for this city already exists",
+    });
+  }
+  console.error("Shipping rule save error:", err);
+  res
+    .status(500)
+    .json({ success: false, message: "Failed to save shipping rule" });
+}
+
+app.get("/admin/shipping-rules", isAuthenticated, async (req, res) => {
   try {
-    const order = await Order.findById(req.params.id);
-    if (!order) {
-      return res.status(404).json({ message: "Order not found" });
+    const rules = await ShippingRule.find().sort({ city: 1 });
+    res.json(rules);
+  } catch (err) {
+    console.error("Shipping rules fetch error:", err);
+    res.status(500).json({ success: false, message: "Fetch failed" });
+  }
+});
+
+// Create Shipping Rule
+app.post("/admin/shipping-rules", can("catalog"), async (req, res) => {
+  try {
+    const rule = new ShippingRule(shippingRuleFieldsFrom(req.body));
+    await rule.save();
+    console.log("Shipping rule created:", { city: rule.city });
+    res.status(201).json({ success: true, rule });
+  } catch (err) {
+    sendShippingRuleSaveError(res, err);
+  }
+});
+
+// Update Shipping Rule
+app.put("/admin/shipping-rules/:id", can("catalog"), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid shipping rule ID" });
     }
-    res.json(order);
+    const rule = await ShippingRule.findById(req.params.id);
+    if (!rule) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Shipping rule not found" });
+    }
+    rule.set(shippingRuleFieldsFrom(req.body));
+    await rule.save();
+    console.log("Shipping rule updated:", { city: rule.city });
+    res.json({ success: true, rule });
   } catch (err) {
-    console.error("Order Fetch Error:", err);
-    res.status(500).json({ message: "Failed to fetch order" });
+    sendShippingRuleSaveError(res, err);
   }
 });
 
-// Delete Order
-app.delete("/orders/:id", isAuthenticated, async (req, res) => {
+// Delete Shipping Rule
+app.delete("/admin/shipping-rules/:id", can("catalog"), async (req, res) => {
   try {
-    const deleted = await Order.findByIdAndDelete(req.params.id);
-    if (!deleted) return res.status(404).json({ message: "Order not found" });
-    console.log("Order deleted:", { id: req.params.id });
-    res.json({ message: "Order deleted" });
+    const deleted = await ShippingRule.findByIdAndDelete(req.params.id);
+    if (!deleted) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Shipping rule not found" });
+    }
+    console.log("Shipping rule deleted:", { city: deleted.city });
+    res.json({ success: true });
   } catch (err) {
-    console.error("Delete Order Error:", err);
-    res.status(500).json({ message: "Failed to delete order" });
+    console.error("Shipping rule delete error:", err);
+    res.status(500).json({ success: false, message: "Delete failed" });
   }
 });
+
 //     BANNNER
+const BANNER_IMAGE_OPTIONS = { folder: "myr-banners", maxWidth: 1600 };
+const BANNER_MOBILE_IMAGE_OPTIONS = { folder: "myr-banners", maxWidth: 800 };
+
+// Desktop image as "image", optional mobile image as "mobileImage"
+const bannerUpload = upload.fields([
+  { name: "image", maxCount: 1 },
+  { name: "mobileImage", maxCount: 1 },
+]);
+
+function discardUploads(files = {}) {
+  for (const file of Object.values(files).flat()) {
+    fs.unlink(file.path, () => {});
+  }
+}
+
+// Banner fields from a create/update form ("url" is the click link). Only
+// fields that were sent are returned; throws on invalid values.
+function bannerFieldsFrom(body) {
+  const fields = {};
+  if (body.url !== undefined) fields.link = String(body.url).trim();
+  for (const key of ["startDate", "endDate"]) {
+    if (body[key] !== undefined) fields[key] = body[key] || null;
+  }
+  if (body.placement !== undefined) {
+    if (!BANNER_PLACEMENTS.includes(body.placement)) {
+      throw new Error(
+        `placement must be one of: ${BANNER_PLACEMENTS.join(", ")}`
+      );
+    }
+    fields.placement = body.placement;
+  }
+  if (body.position !== undefined && body.position !== "") {
+    const position = Number(body.position);
+    if (!Number.isInteger(position) || position < 0) {
+      throw new Error("position must be a non-negative integer");
+    }
+    fields.position = position;
+  }
+  return fields;
+}
+
+// Set form fields on a banner and check them, before any image is uploaded
+async function applyBannerFields(banner, fields) {
+  banner.set(fields);
+  const paths = Object.keys(fields);
+  if (paths.length > 0) await banner.validate(paths);
+  if (banner.startDate && banner.endDate && banner.startDate > banner.endDate) {
+    throw new Error("endDate must be after startDate");
+  }
+}
+
+// Upload the images sent with a banner form; returns the fields to set
+async function uploadBannerImages(files = {}) {
+  const fields = {};
+  try {
+    const [image] = files.image || [];
+    const [mobileImage] = files.mobileImage || [];
+    if (image) {
+      const result = await media.upload(image.path, BANNER_IMAGE_OPTIONS);
+      fields.imageUrl = result.url;
+      fields.publicId = result.publicId;
+    }
+    if (mobileImage) {
+      const result = await media.upload(
+        mobileImage.path,
+        BANNER_MOBILE_IMAGE_OPTIONS
+      );
+      fields.mobileImageUrl = result.url;
+      fields.mobilePublicId = result.publicId;
+    }
+  } finally {
+    discardUploads(files);
+  }
+  return fields;
+}
+
+// ?placement=home_hero,sidebar. Banners from before placements existed show
+// in the homepage hero. Throws on unknown placements.
+function bannerPlacementFilter(query) {
+  if (!query.placement) return {};
+  const placements = String(query.placement)
+    .split(",")
+    .map((p) => p.trim())
+    .filter(Boolean);
+  const invalid = placements.filter((p) => !BANNER_PLACEMENTS.includes(p));
+  if (invalid.length > 0) {
+    throw new Error(
+      `Invalid placement. Allowed: ${BANNER_PLACEMENTS.join(", ")}`
+    );
+  }
+  return {
+    placement: {
+      $in: placements.includes("home_hero")
+        ? [...placements, null]
+        : placements,
+    },
+  };
+}
+
 // Upload Banner
-app.post(
-  "/admin/banners",
-  isAuthenticated,
-  upload.single("image"),
-  async (req, res) => {
+app.post("/admin/banners", can("catalog"), bannerUpload, async (req, res) => {
+  try {
+    if (!req.files?.image) {
+      discardUploads(req.files);
+      return res.status(400).json({
+        success: false,
+        message: "No image uploaded",
+      });
+    }
+
+    const banner = new Banner({ active: true });
     try {
-      if (!req.file) {
-        return res.status(400).json({
-          success: false,
-          message: "No image uploaded",
-        });
-      }
+      await applyBannerFields(banner, bannerFieldsFrom(req.body));
+    } catch (err) {
+      discardUploads(req.files);
+      return res.status(400).json({ success: false, message: err.message });
+    }
+    // New banners go to the end of their placement unless given a position
+    if (req.body.position === undefined || req.body.position === "") {
+      const last = await Banner.findOne({ placement: banner.placement }).sort({
+        position: -1,
+      });
+      banner.position = last ? last.position + 1 : 0;
+    }
 
-      const { url, startDate, endDate } = req.body;
+    banner.set(await uploadBannerImages(req.files));
+    await banner.save();
+    await recordAudit(req, {
+      entityType: "banner",
+      entityId: banner._id,
+      action: "create",
+      after: banner,
+    });
 
-      const result = await cloudinary.uploader.upload(req.file.path, {
-        folder: "myr-banners",
-        transformation: [{ width: 1600, crop: "limit" }, { quality: "auto" }],
-      });
+    res.json({
+      success: true,
+      message: "Banner uploaded successfully",
+      banner,
+    });
+  } catch (err) {
+    console.error("Banner upload error:", err);
+    res.status(500).json({
+      success: false,
+      message: "Banner upload failed",
+    });
+  }
+});
 
-      // delete local file
-      fs.unlink(req.file.path, () => {});
+// Update Banner: link, dates, placement, position and either image.
+// removeMobileImage=true drops the mobile image.
+app.put(
+  "/admin/banners/:id",
+  can("catalog"),
+  bannerUpload,
+  async (req, res) => {
+    try {
+      const banner = mongoose.isValidObjectId(req.params.id)
+        ? await Banner.findById(req.params.id)
+        : null;
+      if (!banner) {
+        discardUploads(req.files);
+        return res
+          .status(404)
+          .json({ success: false, message: "Banner not found" });
+      }
 
-      const banner = new Banner({
-        imageUrl: result.secure_url,
-        publicId: result.public_id,
-        link: url || "",
-        startDate: startDate || null,
-        endDate: endDate || null,
-        active: true,
-      });
+      const before = banner.toObject();
+      try {
+        await applyBannerFields(banner, bannerFieldsFrom(req.body));
+      } catch (err) {
+        discardUploads(req.files);
+        return res.status(400).json({ success: false, message: err.message });
+      }
 
+      const images = await uploadBannerImages(req.files);
+      if (!images.mobilePublicId && req.body.removeMobileImage === "true") {
+        images.mobileImageUrl = null;
+        images.mobilePublicId = null;
+      }
+      banner.set(images);
       await banner.save();
 
-      res.json({
-        success: true,
-        message: "Banner uploaded successfully",
+      // Old images go once the banner points at the new ones
+      const replaced = [
+        images.publicId && before.publicId,
+        "mobilePublicId" in images && before.mobilePublicId,
+      ].filter(Boolean);
+      for (const publicId of replaced) {
+        media
+          .destroy(publicId)
+          .catch((err) => console.error("Failed to delete banner image:", err));
+      }
+
+      await recordAudit(req, {
+        entityType: "banner",
+        entityId: banner._id,
+        action: "update",
+        before,
+        after: banner,
       });
+      res.json({ success: true, message: "Banner updated", banner });
     } catch (err) {
-      console.error("Banner upload error:", err);
-      res.status(500).json({
+      console.error("Banner update error:", err);
+      res.status(500).json({ success: false, message: "Banner update failed" });
+    }
+  }
+);
+
+// Reorder Banners: { ids } in display order get positions 0, 1, 2…
+// Banners not listed keep their position.
+app.patch("/admin/banners/reorder", can("catalog"), async (req, res) => {
+  try {
+    const ids = req.body?.ids;
+    if (
+      !Array.isArray(ids) ||
+      ids.length === 0 ||
+      !ids.every((id) => mongoose.isValidObjectId(id)) ||
+      new Set(ids.map(String)).size !== ids.length
+    ) {
+      return res.status(400).json({
         success: false,
-        message: "Banner upload failed",
+        message: "ids must be a list of banner IDs without duplicates",
+      });
+    }
+
+    const banners = await Banner.find({ _id: { $in: ids } });
+    if (banners.length !== ids.length) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Some banners were not found" });
+    }
+
+    const byId = new Map(banners.map((b) => [String(b._id), b]));
+    const moved = ids
+      .map((id, position) => ({ banner: byId.get(String(id)), position }))
+      .filter(({ banner, position }) => banner.position !== position);
+    if (moved.length > 0) {
+      await Banner.bulkWrite(
+        moved.map(({ banner, position }) => ({
+          updateOne: {
+            filter: { _id: banner._id },
+            update: { $set: { position } },
+          },
+        }))
+      );
+    }
+    for (const { banner, position } of moved) {
+      await recordAudit(req, {
+        entityType: "banner",
+        entityId: banner._id,
+        action: "reorder",
+        before: { position: banner.position },
+        after: { position },
       });
     }
+
+    res.json({ success: true, message: "Banners reordered" });
+  } catch (err) {
+    console.error("Banner reorder error:", err);
+    res.status(500).json({ success: false, message: "Reorder failed" });
   }
-);
+});
 
-// Get Banner
+// Get Banner: live banners in display order, optionally for some placements
 app.get("/banners", async (req, res) => {
   try {
     const now = new Date();
 
+    let placementFilter;
+    try {
+      placementFilter = bannerPlacementFilter(req.query);
+    } catch (err) {
+      return res.status(400).json({ message: err.message });
+    }
+
     const banners = await Banner.find({
       active: true,
+      ...placementFilter,
       $and: [
         {
           $or: [
@@ -791,7 +3639,7 @@ app.get("/banners", async (req, res) => {
           ],
         },
       ],
-    }).sort({ createdAt: -1 });
+    }).sort({ position: 1, createdAt: -1 });
 
     res.json(banners);
   } catch (err) {
@@ -801,30 +3649,63 @@ app.get("/banners", async (req, res) => {
 });
 
 app.get("/admin/banners", isAuthenticated, async (req, res) => {
-  const banners = await Banner.find().sort({ createdAt: -1 });
-  res.json(banners);
+  try {
+    let placementFilter;
+    try {
+      placementFilter = bannerPlacementFilter(req.query);
+    } catch (err) {
+      return res.status(400).json({ success: false, message: err.message });
+    }
+    const banners = await Banner.find(placementFilter).sort({
+      placement: 1,
+      position: 1,
+      createdAt: -1,
+    });
+    res.json(banners);
+  } catch (err) {
+    console.error("Banner fetch error:", err);
+    res.status(500).json({ success: false, message: "Fetch failed" });
+  }
 });
 // Delete Banner
-app.delete("/admin/banners/:id", isAuthenticated, async (req, res) => {
-  const banner = await Banner.findById(req.params.id);
+app.delete("/admin/banners/:id", can("catalog"), async (req, res) => {
+  // The image is kept until the banner is purged from the trash
+  const banner = await Banner.findByIdAndUpdate(
+    req.params.id,
+    softDeleteUpdate(req.session.username),
+    { new: true }
+  );
   if (!banner) return res.status(404).json({ success: false });
 
-  await cloudinary.uploader.destroy(banner.publicId);
-  await banner.deleteOne();
+  await recordAudit(req, {
+    entityType: "banner",
+    entityId: banner._id,
+    action: "delete",
+    before: { ...banner.toObject(), deletedAt: null, deletedBy: null },
+    after: banner,
+  });
 
   res.json({ success: true });
 });
 // toggle active status
 // Toggle Banner Active Status
-app.patch("/admin/banners/:id/toggle", isAuthenticated, async (req, res) => {
+app.patch("/admin/banners/:id/toggle", can("catalog"), async (req, res) => {
   try {
     const banner = await Banner.findById(req.params.id);
     if (!banner) {
       return res.status(404).json({ success: false });
     }
 
+    const before = banner.toObject();
     banner.active = !banner.active;
     await banner.save();
+    await recordAudit(req, {
+      entityType: "banner",
+      entityId: banner._id,
+      action: "toggle",
+      before,
+      after: banner,
+    });
 
     res.json({ success: true, active: banner.active });
   } catch (err) {
@@ -832,6 +3713,333 @@ app.patch("/admin/banners/:id/toggle", isAuthenticated, async (req, res) => {
   }
 });
 
+//     TRASH
+// Soft-deleted products, orders and banners (:entity), newest deletion first
+app.get("/admin/trash/:entity", isAuthenticated, async (req, res) => {
+  const entity = TRASH_ENTITIES[req.params.entity];
+  if (!entity)
+    return res.status(404).json({ success: false, message: "Not found" });
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const filter = { deletedAt: { $ne: null } };
+    const [items, total] = await Promise.all([
+      entity.model
+        .find(filter)
+        .sort({ deletedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      entity.model.countDocuments(filter),
+    ]);
+    res.json({
+      items,
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+      retentionDays: trashRetentionDays(),
+    });
+  } catch (err) {
+    console.error("Trash fetch error:", err);
+    res.status(500).json({ success: false, message: "Fetch failed" });
+  }
+});
+
+// Checks the permission of the entity type in :entity
+function canTrash(req, res, next) {
+  const entity = TRASH_ENTITIES[req.params.entity];
+  if (!entity)
+    return res.status(404).json({ success: false, message: "Not found" });
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(400).json({ success: false, message: "Invalid ID" });
+  }
+  req.trashEntity = entity;
+  return can(entity.permission)(req, res, next);
+}
+
+// Restore from the trash. Orders that gave their stock and coupon use back
+// when deleted take them again, or stay in the trash if either has run out.
+app.post("/admin/trash/:entity/:id/restore", canTrash, async (req, res) => {
+  const { model, entityType, uniqueField } = req.trashEntity;
+  const notFound = () =>
+    res.status(404).json({ success: false, message: "Not found in trash" });
+  try {
+    const doc = await model.findOne({
+      _id: req.params.id,
+      deletedAt: { $ne: null },
+    });
+    if (!doc) return notFound();
+    if (
+      uniqueField &&
+      (await model.exists({ [uniqueField]: doc[uniqueField] }))
+    ) {
+      return res.status(409).json({
+        success: false,
+        message: `Another ${entityType} already uses ${uniqueField} ${doc[uniqueField]}`,
+      });
+    }
+
+    let reclaimed = null;
+    if (entityType === "order") {
+      const { items, shortItems } = await reclaimOrderStock(doc);
+      if (shortItems.length > 0) {
+        return res.status(409).json({
+          success: false,
+          message: "Some items are out of stock, restock them first",
+          errors: shortItems.map((item) => ({
+            productId: item.productId,
+            sku: item.sku,
+            name: item.name,
+            reason: "Insufficient stock",
+          })),
+        });
+      }
+      reclaimed = items;
+    }
+
+    let coupon = null;
+    if (entityType === "order") {
+      const result = await reclaimOrderCoupon(doc);
+      if (result.error) {
+        if (reclaimed) await releaseStock(reclaimed);
+        return res.status(409).json({ success: false, message: result.error });
+      }
+      coupon = result.coupon;
+    }
+    // Gives back what was taken above when the order isn't restored after all
+    const undo = async () => {
+      if (reclaimed) await releaseStock(reclaimed);
+      if (coupon) await unredeemCoupon(coupon);
+    };
+
+    const update = restoreUpdate();
+    if (reclaimed) update.$set.stockReserved = true;
+    if (coupon) update.$set.couponRedeemed = true;
+    let restored;
+    try {
+      restored = await model.findOneAndUpdate(
+        { _id: req.params.id, deletedAt: { $ne: null } },
+        update,
+        { new: true }
+      );
+    } catch (err) {
+      await undo();
+      throw err;
+    }
+    if (!restored) {
+      await undo();
+      return notFound();
+    }
+    if (reclaimed) {
+      recordSales(reclaimed).catch((err) =>
+        console.error("Failed to record sales:", err)
+      );
+    }
+    await recordAudit(req, {
+      entityType,
+      entityId: entityType === "product" ? restored.id : restored._id,
+      action: "restore",
+      after: restored,
+    });
+    res.json({ success: true, message: "Restored", item: restored });
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: `Another ${entityType} conflicts with this one`,
+      });
+    }
+    console.error("Restore error:", err);
+    res.status(500).json({ success: false, message: "Restore failed" });
+  }
+});
+
+// Delete permanently (before the retention period is up)
+app.delete("/admin/trash/:entity/:id", canTrash, async (req, res) => {
+  try {
+    const entity = req.trashEntity;
+    const doc = await entity.model.findOne({
+      _id: req.params.id,
+      deletedAt: { $ne: null },
+    });
+    if (!doc) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Not found in trash" });
+    }
+    await purgeDocument(entity, doc);
+    await recordAudit(req, {
+      entityType: entity.entityType,
+      entityId: entity.entityType === "product" ? doc.id : doc._id,
+      action: "purge",
+      before: doc,
+    });
+    res.json({ success: true, message: "Deleted permanently" });
+  } catch (err) {
+    console.error("Purge error:", err);
+    res.status(500).json({ success: false, message: "Delete failed" });
+  }
+});
+
+//     ANALYTICS
+// Query: from, to (default last 30 days), interval, by, limit
+function analyticsParams(req, res) {
+  try {
+    return parseAnalyticsQuery(req.query);
+  } catch (err) {
+    res.status(400).json({ success: false, message: err.message });
+    return null;
+  }
+}
+
+const periodOf = (params) => ({ from: params.from, to: params.to });
+
+// Totals for the period compared with the previous period of the same length
+app.get("/admin/analytics/summary", isAuthenticated, async (req, res) => {
+  const params = analyticsParams(req, res);
+  if (!params) return;
+  try {
+    const [[current], [previous]] = await Promise.all([
+      Order.aggregate(summaryPipeline(params.from, params.to)),
+      Order.aggregate(summaryPipeline(params.previousFrom, params.previousTo)),
+    ]);
+    res.json({
+      period: periodOf(params),
+      previousPeriod: { from: params.previousFrom, to: params.previousTo },
+      current: current || EMPTY_SUMMARY,
+      previous: previous || EMPTY_SUMMARY,
+      change: compareSummaries(
+        current || EMPTY_SUMMARY,
+        previous || EMPTY_SUMMARY
+      ),
+    });
+  } catch (err) {
+    console.error("Analytics Error:", err);
+    res.status(500).json({ success: false, message: "Analytics failed" });
+  }
+});
+
+// Revenue and order count per day/week/month, for this and the previous period
+app.get("/admin/analytics/sales", isAuthenticated, async (req, res) => {
+  const params = analyticsParams(req, res);
+  if (!params) return;
+  try {
+    const [series, previousSeries] = await Promise.all([
+      Order.aggregate(salesSeriesPipeline(params.from, params.to, params)),
+      Order.aggregate(
+        salesSeriesPipeline(params.previousFrom, params.previousTo, params)
+      ),
+    ]);
+    res.json({
+      period: periodOf(params),
+      interval: params.interval,
+      series,
+      previousSeries,
+    });
+  } catch (err) {
+    console.error("Analytics Error:", err);
+    res.status(500).json({ success: false, message: "Analytics failed" });
+  }
+});
+
+// Best-selling products
+app.get("/admin/analytics/top-products", isAuthenticated, async (req, res) => {
+  const params = analyticsParams(req, res);
+  if (!params) return;
+  try {
+    const products = await Order.aggregate(
+      topProductsPipeline(params.from, params.to, params)
+    );
+    res.json({ period: periodOf(params), by: params.by, products });
+  } catch (err) {
+    console.error("Analytics Error:", err);
+    res.status(500).json({ success: false, message: "Analytics failed" });
+  }
+});
+
+// Best-selling categories
+app.get(
+  "/admin/analytics/top-categories",
+  isAuthenticated,
+  async (req, res) => {
+    const params = analyticsParams(req, res);
+    if (!params) return;
+    try {
+      const categories = await Order.aggregate(
+        topCategoriesPipeline(params.from, params.to, params)
+      );
+      res.json({ period: periodOf(params), by: params.by, categories });
+    } catch (err) {
+      console.error("Analytics Error:", err);
+      res.status(500).json({ success: false, message: "Analytics failed" });
+    }
+  }
+);
+
+// Sales by city and by payment method
+app.get("/admin/analytics/breakdown", isAuthenticated, async (req, res) => {
+  const params = analyticsParams(req, res);
+  if (!params) return;
+  try {
+    const [result] = await Order.aggregate(
+      breakdownPipeline(params.from, params.to)
+    );
+    const rows = (list, key) =>
+      list.map(({ _id, ...totals }) => ({ [key]: _id, ...totals }));
+    res.json({
+      period: periodOf(params),
+      byCity: rows(result.byCity, "city"),
+      byPaymentMethod: rows(result.byPaymentMethod, "paymentMethod"),
+    });
+  } catch (err) {
+    console.error("Analytics Error:", err);
+    res.status(500).json({ success: false, message: "Analytics failed" });
+  }
+});
+
+//     AUDIT LOG
+// Admin changes, newest first. Filters: entityType, entityId, actor, from, to
+app.get("/admin/audit-logs", can("audit"), async (req, res) => {
+  try {
+    const filter = {};
+    for (const key of ["entityType", "entityId", "actor"]) {
+      if (req.query[key]) filter[key] = String(req.query[key]);
+    }
+    if (req.query.from || req.query.to) {
+      const from = req.query.from ? new Date(req.query.from) : null;
+      const to = req.query.to ? new Date(req.query.to) : null;
+      if ((from && isNaN(from)) || (to && isNaN(to))) {
+        return res
+          .status(400)
+          .json({ success: false, message: "Invalid from/to date" });
+      }
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = from;
+      if (to) filter.createdAt.$lte = to;
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const [logs, total] = await Promise.all([
+      AuditLog.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      AuditLog.countDocuments(filter),
+    ]);
+    res.json({
+      logs,
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+    });
+  } catch (err) {
+    console.error("Audit log fetch error:", err);
+    res.status(500).json({ success: false, message: "Fetch failed" });
+  }
+});
+
 // Health Check Endpoint
 app.get("/health", async (req, res) => {
   try {
@@ -848,7 +4056,7 @@ app.get("/health", async (req, res) => {
 });
 
 // Generate Receipt
-app.get("/orders/:id/receipt", async (req, res) => {
+app.get("/orders/:id/receipt", isAuthenticated, async (req, res) => {
   try {
     const orderId = req.params.id;
     console.log("Generating receipt for order:", { orderId });
@@ -869,11 +4077,7 @@ app.get("/orders/:id/receipt", async (req, res) => {
         .json({ success: false, message: "Order not found" });
     }
 
-    const doc = new PDFDocument({
-      size: "A5",
-      layout: "landscape",
-      margins: { top: 30, bottom: 30, left: 30, right: 30 },
-    });
+    const doc = createReceipt(order);
 
     res.setHeader("Content-Type", "application/pdf");
     res.setHeader(
@@ -882,123 +4086,6 @@ app.get("/orders/:id/receipt", async (req, res) => {
     );
 
     doc.pipe(res);
-
-    // Left Column (Order Details)
-    doc
-      .font("Helvetica-Bold")
-      .fontSize(20)
-      .fillColor("#6366f1")
-      .text("MYR SURGICAL", 30, 30);
-
-    doc.fontSize(14).fillColor("#9c1f2e").text("Order Details:", 30, 60);
-
-    doc
-      .font("Helvetica")
-      .fontSize(10)
-      .fillColor("#333")
-      .text(`Order ID: ${orderId}`, 30, 80);
-
-    // Items Table
-    doc
-      .font("Helvetica-Bold")
-      .fontSize(10)
-      .fillColor("#6366f1")
-      .text("S.No", 30, 100)
-      .text("Item Name", 60, 100)
-      .text("Quantity", 230, 100)
-      .text("Amount", 280, 100);
-
-    doc.moveTo(30, 115).lineTo(330, 115).strokeColor("#f43f5e").stroke();
-
-    let y = 125;
-    order.cartItems.forEach((item, index) => {
-      const total = item.price * item.quantity;
-      doc
-        .font("Helvetica")
-        .fontSize(9)
-        .fillColor("#333")
-        .text(index + 1, 30, y)
-        .text(
-          `${item.name}${item.selectedSize ? ` (${item.selectedSize})` : ""}${
-            item.selectedColor ? ` (${item.selectedColor})` : ""
-          }`,
-          60,
-          y,
-          { width: 160 }
-        )
-        .text(item.quantity, 230, y)
-        .text(`Rs. ${total.toFixed(2)}`, 280, y);
-      y += 15;
-    });
-
-    // Totals
-    const subtotal = order.cartItems.reduce(
-      (sum, item) => sum + item.price * item.quantity,
-      0
-    );
-    const deliveryCharges = subtotal > 0 ? 150 : 0;
-    const total = order.totalAmount;
-
-    doc.moveTo(30, y).lineTo(330, y).strokeColor("#f43f5e").stroke();
-
-    y += 10;
-    doc
-      .font("Helvetica")
-      .fontSize(10)
-      .fillColor("#333")
-      .text("Sub Total:", 230, y)
-      .text(`Rs. ${subtotal.toFixed(2)}`, 280, y);
-    y += 15;
-    doc
-      .text("Delivery Charges:", 192, y)
-      .text(`Rs. ${deliveryCharges.toFixed(2)}`, 280, y);
-    y += 15;
-    doc
-      .font("Helvetica-Bold")
-      .text("Total Amount:", 205, y)
-      .text(`Rs. ${total.toFixed(2)}`, 280, y);
-
-    // Right Column (Customer Details)
-    doc
-      .font("Helvetica-Bold")
-      .fontSize(14)
-      .fillColor("#9c1f2e")
-      .text("Customer Details:", 350, 60);
-
-    doc
-      .font("Helvetica")
-      .fontSize(10)
-      .fillColor("#333")
-      .text(`Name: ${order.name || "N/A"}`, 350, 80)
-      .text(`Contact: ${order.contact || "N/A"}`, 350, 95)
-      .text(
-        `Shipping Address: ${order.houseNo || ""}, ${order.Block || ""}, ${
-          order.Area || ""
-        }`,
-        350,
-        110,
-        { width: 200 }
-      )
-      .text(`City: ${order.city || "N/A"}`, 350, 140)
-      .text(
-        `Date of Order: ${new Date(order.createdAt).toLocaleDateString()}`,
-        350,
-        155
-      )
-      .text(`Order ID: ${orderId}`, 350, 170)
-      .text(`Payment Method: ${order.paymentMethod || "N/A"}`, 350, 185);
-
-    // Footer
-    doc
-      .fontSize(8)
-      .fillColor("#444")
-      .text("Thank you for shopping with MYR Surgical!", 30, 280, {
-        align: "center",
-      })
-      .text("© 2025 MYR Surgical. All rights reserved.", 30, 290, {
-        align: "center",
-      });
-
     doc.end();
 
     console.log("Generated receipt for order:", { id: orderId });
@@ -1015,7 +4102,7 @@ app.get("/orders/:id/receipt", async (req, res) => {
 });
 
 // Preview Receipt PDF (Inline for browser)
-app.get("/orders/:id/receipt/preview", async (req, res) => {
+app.get("/orders/:id/receipt/preview", isAuthenticated, async (req, res) => {
   try {
     const orderId = req.params.id;
     console.log("Previewing receipt for order:", { orderId });
@@ -1036,11 +4123,7 @@ app.get("/orders/:id/receipt/preview", async (req, res) => {
         .json({ success: false, message: "Order not found" });
     }
 
-    const doc = new PDFDocument({
-      size: "A5",
-      layout: "landscape",
-      margins: { top: 30, bottom: 30, left: 30, right: 30 },
-    });
+    const doc = createReceipt(order);
 
     res.setHeader("Content-Type", "application/pdf");
     res.setHeader(
@@ -1049,123 +4132,6 @@ app.get("/orders/:id/receipt/preview", async (req, res) => {
     );
 
     doc.pipe(res);
-
-    // Left Column (Order Details)
-    doc
-      .font("Helvetica-Bold")
-      .fontSize(20)
-      .fillColor("#6366f1")
-      .text("MYR SURGICAL", 30, 30);
-
-    doc.fontSize(14).fillColor("#9c1f2e").text("Order Details:", 30, 60);
-
-    doc
-      .font("Helvetica")
-      .fontSize(10)
-      .fillColor("#333")
-      .text(`Order ID: ${orderId}`, 30, 80);
-
-    // Items Table
-    doc
-      .font("Helvetica-Bold")
-      .fontSize(10)
-      .fillColor("#6366f1")
-      .text("S.No", 30, 100)
-      .text("Item Name", 60, 100)
-      .text("Quantity", 230, 100)
-      .text("Amount", 280, 100);
-
-    doc.moveTo(30, 115).lineTo(330, 115).strokeColor("#f43f5e").stroke();
-
-    let y = 125;
-    order.cartItems.forEach((item, index) => {
-      const total = item.price * item.quantity;
-      doc
-        .font("Helvetica")
-        .fontSize(9)
-        .fillColor("#333")
-        .text(index + 1, 30, y)
-        .text(
-          `${item.name}${item.selectedSize ? ` (${item.selectedSize})` : ""}${
-            item.selectedColor ? ` (${item.selectedColor})` : ""
-          }`,
-          60,
-          y,
-          { width: 160 }
-        )
-        .text(item.quantity, 230, y)
-        .text(`Rs. ${total.toFixed(2)}`, 280, y);
-      y += 15;
-    });
-
-    // Totals
-    const subtotal = order.cartItems.reduce(
-      (sum, item) => sum + item.price * item.quantity,
-      0
-    );
-    const deliveryCharges = subtotal > 0 ? 150 : 0;
-    const total = order.totalAmount;
-
-    doc.moveTo(30, y).lineTo(330, y).strokeColor("#f43f5e").stroke();
-
-    y += 10;
-    doc
-      .font("Helvetica")
-      .fontSize(10)
-      .fillColor("#333")
-      .text("Sub Total:", 230, y)
-      .text(`Rs. ${subtotal.toFixed(2)}`, 280, y);
-    y += 15;
-    doc
-      .text("Delivery Charges:", 230, y)
-      .text(`Rs. ${deliveryCharges.toFixed(2)}`, 280, y);
-    y += 15;
-    doc
-      .font("Helvetica-Bold")
-      .text("Total Amount:", 230, y)
-      .text(`Rs. ${total.toFixed(2)}`, 280, y);
-
-    // Right Column (Customer Details)
-    doc
-      .font("Helvetica-Bold")
-      .fontSize(14)
-      .fillColor("#9c1f2e")
-      .text("Customer Details:", 350, 60);
-
-    doc
-      .font("Helvetica")
-      .fontSize(10)
-      .fillColor("#333")
-      .text(`Name: ${order.name || "N/A"}`, 350, 80)
-      .text(`Contact: ${order.contact || "N/A"}`, 350, 95)
-      .text(
-        `Shipping Address: ${order.houseNo || ""}, ${order.Block || ""}, ${
-          order.Area || ""
-        }`,
-        350,
-        110,
-        { width: 200 }
-      )
-      .text(`City: ${order.city || "N/A"}`, 350, 140)
-      .text(
-        `Date of Order: ${new Date(order.createdAt).toLocaleDateString()}`,
-        350,
-        155
-      )
-      .text(`Order ID: ${orderId}`, 350, 170)
-      .text(`Payment Method: ${order.paymentMethod || "N/A"}`, 350, 185);
-
-    // Footer
-    doc
-      .fontSize(8)
-      .fillColor("#444")
-      .text("Thank you for shopping with MYR Surgical!", 30, 280, {
-        align: "center",
-      })
-      .text("© 2025 MYR Surgical. All rights reserved.", 30, 290, {
-        align: "center",
-      });
-
     doc.end();
 
     console.log("Previewed receipt for order:", { id: orderId });
@@ -0,0 +1,209 @@
+import { parseDate } from "./orderQuery.js";
+
+// Cancelled and returned orders never count as sales
+export const NON_SALE_STATUSES = ["cancelled", "returned"];
+export const INTERVALS = ["day", "week", "month"];
+const DEFAULT_RANGE_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Period, bucket size and list options from the query string. The previous
+// period is the same length, ending just before this one starts.
+// Throws on invalid parameters; routes answer those with 400.
+export function parseAnalyticsQuery(query) {
+  const to = query.to
+    ? parseDate("to", query.to, { endOfDay: true })
+    : new Date();
+  const from = query.from
+    ? parseDate("from", query.from)
+    : new Date(to.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+  if (from >= to) throw new Error("from must be before to");
+
+  const interval = query.interval || "day";
+  if (!INTERVALS.includes(interval)) {
+    throw new Error(`interval must be one of: ${INTERVALS.join(", ")}`);
+  }
+  const by = query.by || "revenue";
+  if (!["revenue", "quantity"].includes(by)) {
+    throw new Error("by must be revenue or quantity");
+  }
+  const limit = query.limit !== undefined ? Number(query.limit) : 10;
+  if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+    throw new Error("limit must be an integer between 1 and 100");
+  }
+
+  const length = to.getTime() - from.getTime();
+  return {
+    from,
+    to,
+    previousFrom: new Date(from.getTime() - length),
+    previousTo: new Date(from.getTime() - 1),
+    interval,
+    by,
+    limit,
+    timezone: process.env.ANALYTICS_TIMEZONE || "Asia/Karachi",
+  };
+}
+
+// Orders still waiting for online payment or phone verification aren't
+// sales yet either
+const matchSales = (from, to) => ({
+  $match: {
+    createdAt: { $gte: from, $lte: to },
+    status: { $nin: NON_SALE_STATUSES },
+    "payment.status": { $nin: ["pending", "failed"] },
+    "verification.status": { $ne: "pending" },
+  },
+});
+
+const orderTotals = {
+  orders: { $sum: 1 },
+  revenue: { $sum: { $ifNull: ["$totalAmount", 0] } },
+  averageOrderValue: { $avg: { $ifNull: ["$totalAmount", 0] } },
+};
+
+const lineRevenue = { $multiply: ["$cartItems.price", "$cartItems.quantity"] };
+
+// Order count, revenue, average order value, items sold, discounts and
+// delivery charges for one period
+export const summaryPipeline = (from, to) => [
+  matchSales(from, to),
+  {
+    $group: {
+      _id: null,
+      ...orderTotals,
+      itemsSold: { $sum: { $sum: "$cartItems.quantity" } },
+      discount: { $sum: { $ifNull: ["$discount", 0] } },
+      deliveryCharges: { $sum: { $ifNull: ["$deliveryCharges", 0] } },
+    },
+  },
+  { $project: { _id: 0 } },
+];
+
+export const EMPTY_SUMMARY = {
+  orders: 0,
+  revenue: 0,
+  averageOrderValue: 0,
+  itemsSold: 0,
+  discount: 0,
+  deliveryCharges: 0,
+};
+
+// Percentage change per metric; null when the previous value was 0
+export function compareSummaries(current, previous) {
+  const change = {};
+  for (const key of Object.keys(EMPTY_SUMMARY)) {
+    change[key] =
+      previous[key] > 0
+        ? Math.round(((current[key] - previous[key]) / previous[key]) * 1000) /
+          10
+        : null;
+  }
+  return change;
+}
+
+// Orders and revenue per day/week/month bucket
+export const salesSeriesPipeline = (from, to, { interval, timezone }) => [
+  matchSales(from, to),
+  {
+    $group: {
+      _id: {
+        $dateTrunc: {
+          date: "$createdAt",
+          unit: interval,
+          timezone,
+          startOfWeek: "monday",
+        },
+      },
+      ...orderTotals,
+    },
+  },
+  { $sort: { _id: 1 } },
+  {
+    $project: {
+      _id: 0,
+      period: "$_id",
+      orders: 1,
+      revenue: 1,
+      averageOrderValue: 1,
+    },
+  },
+];
+
+// Best sellers by revenue (line price × quantity, before coupons) or quantity
+export const topProductsPipeline = (from, to, { by, limit }) => [
+  matchSales(from, to),
+  { $unwind: "$cartItems" },
+  {
+    $group: {
+      // Lines from before productId was stored fall back to the name
+      _id: { $ifNull: ["$cartItems.productId", "$cartItems.name"] },
+      name: { $last: "$cartItems.name" },
+      category: { $last: "$cartItems.category" },
+      quantity: { $sum: "$cartItems.quantity" },
+      revenue: { $sum: lineRevenue },
+      orders: { $sum: 1 },
+    },
+  },
+  { $sort: { [by]: -1, _id: 1 } },
+  { $limit: limit },
+  {
+    $project: {
+      _id: 0,
+      productId: "$_id",
+      name: 1,
+      category: 1,
+      quantity: 1,
+      revenue: 1,
+      orders: 1,
+    },
+  },
+];
+
+export const topCategoriesPipeline = (from, to, { by, limit }) => [
+  matchSales(from, to),
+  { $unwind: "$cartItems" },
+  {
+    $group: {
+      _id: { $ifNull: ["$cartItems.category", "Uncategorized"] },
+      quantity: { $sum: "$cartItems.quantity" },
+      revenue: { $sum: lineRevenue },
+      orders: { $addToSet: "$_id" },
+    },
+  },
+  { $sort: { [by]: -1, _id: 1 } },
+  { $limit: limit },
+  {
+    $project: {
+      _id: 0,
+      category: "$_id",
+      quantity: 1,
+      revenue: 1,
+      orders: { $size: "$orders" },
+    },
+  },
+];
+
+// Orders and revenue per city and per payment method
+export const breakdownPipeline = (from, to) => {
+  const byField = (field) => [
+    {
+      $group: {
+        // "Lahore " and "lahore" are the same city
+        _id: {
+          $toLower: { $trim: { input: { $ifNull: [field, "unknown"] } } },
+        },
+        ...orderTotals,
+      },
+    },
+    { $sort: { revenue: -1, _id: 1 } },
+  ];
+  return [
+    matchSales(from, to),
+    {
+      $facet: {
+        byCity: byField("$city"),
+        byPaymentMethod: byField("$paymentMethod"),
+      },
+    },
+  ];
+};
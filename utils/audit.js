@@ -0,0 +1,60 @@
+import AuditLog from "../models/AuditLog.js";
+
+// Bookkeeping fields that change on every save and say nothing useful
+const IGNORED_FIELDS = ["_id", "__v", "createdAt", "updatedAt"];
+
+const plain = (doc) =>
+  doc ? JSON.parse(JSON.stringify(doc.toObject ? doc.toObject() : doc)) : null;
+
+// Top-level fields whose value differs between two snapshots
+export function diffSnapshots(before, after) {
+  const changes = {};
+  const keys = new Set([
+    ...Object.keys(before || {}),
+    ...Object.keys(after || {}),
+  ]);
+  for (const key of keys) {
+    if (IGNORED_FIELDS.includes(key)) continue;
+    const from = before?.[key] ?? null;
+    const to = after?.[key] ?? null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[key] = { from, to };
+    }
+  }
+  return changes;
+}
+
+// Record an admin mutation. Never throws: a failed audit write is logged
+// rather than failing the change the admin already made.
+export async function recordAudit(
+  req,
+  { entityType, entityId, action, before = null, after = null }
+) {
+  try {
+    const beforeSnap = plain(before);
+    const afterSnap = plain(after);
+    await AuditLog.create({
+      actor: req.session?.username || null,
+      actorId: req.session?.userId || null,
+      role: req.session?.role || null,
+      sessionId: req.sessionID || null,
+      ip: req.ip,
+      method: req.method,
+      route: `${req.method} ${req.route?.path || req.path}`,
+      url: req.originalUrl,
+      entityType,
+      entityId: String(entityId),
+      action,
+      before: beforeSnap,
+      after: afterSnap,
+      changes: diffSnapshots(beforeSnap, afterSnap),
+    });
+  } catch (err) {
+    console.error("Audit log error:", {
+      entityType,
+      entityId,
+      action,
+      message: err.message,
+    });
+  }
+}
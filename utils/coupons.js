@@ -0,0 +1,155 @@
+import Coupon from "../models/Coupon.js";
+import Order from "../models/Orders.js";
+import { phoneKey } from "./phone.js";
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// Fields an admin may set through the coupon routes
+export const COUPON_FIELDS = [
+  "code",
+  "type",
+  "value",
+  "maxDiscount",
+  "minOrderValue",
+  "categories",
+  "productIds",
+  "maxUses",
+  "maxUsesPerPhone",
+  "startsAt",
+  "expiresAt",
+  "active",
+];
+
+// Check a coupon code against a priced cart.
+// Returns { coupon, discount } or { error } with a customer-facing reason.
+export async function applyCoupon(code, { items, subtotal, contact }) {
+  const coupon = await Coupon.findOne({
+    code: String(code).trim().toUpperCase(),
+  });
+  if (!coupon || !coupon.active) return { error: "Invalid coupon code" };
+
+  const now = new Date();
+  if (coupon.startsAt && coupon.startsAt > now) {
+    return { error: "This coupon is not active yet" };
+  }
+  if (coupon.expiresAt && coupon.expiresAt < now) {
+    return { error: "This coupon has expired" };
+  }
+  if (coupon.maxUses !== null && coupon.usedCount >= coupon.maxUses) {
+    return { error: "This coupon has reached its usage limit" };
+  }
+  if (subtotal < coupon.minOrderValue) {
+    return {
+      error: `This coupon requires a minimum order of Rs ${coupon.minOrderValue}`,
+    };
+  }
+
+  if (coupon.maxUsesPerPhone !== null) {
+    if (!contact)
+      return { error: "A phone number is required for this coupon" };
+    const used = await Order.countDocuments({
+      couponCode: coupon.code,
+      couponPhone: phoneKey(contact),
+      status: { $ne: "cancelled" },
+    });
+    if (used >= coupon.maxUsesPerPhone) {
+      return { error: "You have already used this coupon" };
+    }
+  }
+
+  const wholeCatalog =
+    coupon.categories.length === 0 && coupon.productIds.length === 0;
+  const eligible = round2(
+    items
+      .filter(
+        (item) =>
+          wholeCatalog ||
+          coupon.categories.includes(item.category) ||
+          coupon.productIds.includes(item.productId)
+      )
+      .reduce((sum, item) => sum + item.price * item.quantity, 0)
+  );
+  if (eligible === 0) {
+    return { error: "This coupon doesn't apply to any item in your cart" };
+  }
+
+  let discount =
+    coupon.type === "percentage"
+      ? (eligible * coupon.value) / 100
+      : coupon.value;
+  if (coupon.type === "percentage" && coupon.maxDiscount !== null) {
+    discount = Math.min(discount, coupon.maxDiscount);
+  }
+
+  return { coupon, discount: round2(Math.min(discount, eligible)) };
+}
+
+// Count one use against the overall limit. Returns false when the limit was
+// reached by another order in the meantime.
+export async function redeemCoupon(coupon) {
+  const result = await Coupon.updateOne(
+    {
+      _id: coupon._id,
+      $or: [{ maxUses: null }, { $expr: { $lt: ["$usedCount", "$maxUses"] } }],
+    },
+    { $inc: { usedCount: 1 } }
+  );
+  return result.modifiedCount === 1;
+}
+
+// Give back a use taken by an order that failed to save
+export async function unredeemCoupon(coupon) {
+  await Coupon.updateOne({ _id: coupon._id }, { $inc: { usedCount: -1 } });
+}
+
+// Give back the coupon use of a cancelled/deleted order exactly once. Orders
+// from before the flag existed have no couponRedeemed and count as redeemed.
+export async function releaseOrderCoupon(order) {
+  const claimed = await Order.findOneAndUpdate(
+    {
+      _id: order._id,
+      couponCode: { $ne: null },
+      couponRedeemed: { $ne: false },
+    },
+    { $set: { couponRedeemed: false } }
+  ).setOptions({ withDeleted: true });
+  if (!claimed) return false;
+  await Coupon.updateOne(
+    { code: claimed.couponCode, usedCount: { $gt: 0 } },
+    { $inc: { usedCount: -1 } }
+  );
+  console.log("Coupon use released:", {
+    id: order._id,
+    code: claimed.couponCode,
+  });
+  return true;
+}
+
+// Take the coupon use back for a deleted order that is being restored, if
+// deleting it gave the use back. Cancelled orders hold none. Returns
+// { coupon } with the coupon redeemed again (null when nothing had to be
+// taken), or { error } when the coupon can no longer be used.
+export async function reclaimOrderCoupon(order, now = new Date()) {
+  const released =
+    order.couponCode &&
+    (order.status || "pending") !== "cancelled" &&
+    (await Order.exists({ _id: order._id, couponRedeemed: false }).setOptions({
+      withDeleted: true,
+    }));
+  if (!released) return { coupon: null };
+
+  const coupon = await Coupon.findOne({ code: order.couponCode });
+  if (!coupon) {
+    return { error: `Coupon ${order.couponCode} no longer exists` };
+  }
+  if (!coupon.active) {
+    return { error: `Coupon ${order.couponCode} is no longer active` };
+  }
+  if (coupon.expiresAt && coupon.expiresAt < now) {
+    return { error: `Coupon ${order.couponCode} has expired` };
+  }
+  if (!(await redeemCoupon(coupon))) {
+    return { error: `Coupon ${order.couponCode} has reached its usage limit` };
+  }
+  return { coupon };
+}
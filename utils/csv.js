@@ -0,0 +1,59 @@
+// Minimal RFC 4180 CSV reading/writing (quoted fields, "" escapes, CRLF)
+
+// Parse CSV text into an array of rows (arrays of strings). Blank lines are
+// skipped; a leading UTF-8 BOM is ignored.
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  const src = String(text).replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(field);
+      if (row.length > 1 || row[0] !== "") rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (quoted) throw new Error("CSV has an unterminated quoted field");
+  row.push(field);
+  if (row.length > 1 || row[0] !== "") rows.push(row);
+  return rows;
+}
+
+// One CSV line (with CRLF). guardFormulas prefixes text starting with
+// = + - @ so spreadsheet apps don't run customer-entered values as formulas.
+export function csvRow(cells, { guardFormulas = false } = {}) {
+  return (
+    cells
+      .map((val) => {
+        if (val === null || val === undefined) return "";
+        if (val instanceof Date) return val.toISOString();
+        if (typeof val === "number") return String(val);
+        let str = String(val);
+        if (guardFormulas && /^[=+\-@\t\r]/.test(str)) str = `'${str}`;
+        return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+      })
+      .join(",") + "\r\n"
+  );
+}
@@ -0,0 +1,79 @@
+import crypto from "crypto";
+import Customer from "../models/Customer.js";
+import CustomerSession from "../models/CustomerSession.js";
+
+// Customer sign-in uses its own cookie and session collection, separate from
+// the admin express-session, so the two can never grant each other access.
+export const CUSTOMER_COOKIE = "myr_customer";
+const SESSION_MS = 30 * 24 * 60 * 60 * 1000;
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const cookieOptions = {
+  httpOnly: true,
+  secure: true,
+  sameSite: "None",
+  path: "/",
+};
+
+function readCookie(req, name) {
+  for (const part of String(req.headers.cookie || "").split(";")) {
+    const [key, ...value] = part.trim().split("=");
+    if (key === name) return decodeURIComponent(value.join("="));
+  }
+  return null;
+}
+
+export async function startCustomerSession(req, res, customer) {
+  const token = crypto.randomBytes(32).toString("base64url");
+  await CustomerSession.create({
+    tokenHash: hashToken(token),
+    customer: customer._id,
+    userAgent: String(req.get("User-Agent") || "").slice(0, 300),
+    expiresAt: new Date(Date.now() + SESSION_MS),
+  });
+  await Customer.updateOne(
+    { _id: customer._id },
+    { $set: { lastLoginAt: new Date() } }
+  );
+  res.cookie(CUSTOMER_COOKIE, token, { ...cookieOptions, maxAge: SESSION_MS });
+}
+
+export async function endCustomerSession(req, res) {
+  const token = readCookie(req, CUSTOMER_COOKIE);
+  if (token) await CustomerSession.deleteOne({ tokenHash: hashToken(token) });
+  res.clearCookie(CUSTOMER_COOKIE, cookieOptions);
+}
+
+// Sign the customer out everywhere except the session making this request,
+// e.g. after a password change
+export async function endOtherCustomerSessions(req, customer) {
+  const token = readCookie(req, CUSTOMER_COOKIE);
+  await CustomerSession.deleteMany({
+    customer: customer._id,
+    ...(token && { tokenHash: { $ne: hashToken(token) } }),
+  });
+}
+
+// Sets req.customer when the request carries a valid customer session
+export async function loadCustomer(req, res, next) {
+  req.customer = null;
+  const token = readCookie(req, CUSTOMER_COOKIE);
+  if (token) {
+    const session = await CustomerSession.findOne({
+      tokenHash: hashToken(token),
+      expiresAt: { $gt: new Date() },
+    });
+    if (session) req.customer = await Customer.findById(session.customer);
+  }
+  next();
+}
+
+// Customer Authentication Middleware
+export function isCustomer(req, res, next) {
+  return loadCustomer(req, res, () => {
+    if (req.customer) return next();
+    res.status(401).json({ authenticated: false });
+  });
+}
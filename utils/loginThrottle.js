@@ -0,0 +1,80 @@
+import LoginAttempt from "../models/LoginAttempt.js";
+
+const WINDOW_MS = 15 * 60 * 1000; // failures are counted over 15 minutes
+const LOCK_MS = 15 * 60 * 1000;
+const MAX_FAILURES_PER_USER = 5;
+
+// Failures per IP are counted apart for admin sign-in and the storefront
+// (customer login, order codes), so shoppers behind one shared IP can't lock
+// the admin out. The storefront limit is higher for the same reason.
+const MAX_FAILURES_PER_IP = { admin: 20, storefront: 50 };
+
+const keysFor = (ip, username, scope) => [
+  {
+    key: scope === "admin" ? `ip:${ip}` : `ip:${scope}:${ip}`,
+    limit: MAX_FAILURES_PER_IP[scope],
+  },
+  {
+    key: `user:${String(username || "").toLowerCase()}`,
+    limit: MAX_FAILURES_PER_USER,
+  },
+];
+
+// Returns the time the IP or username is locked until, or null. `scope` is
+// "admin" or "storefront".
+export async function lockedUntil(ip, username, scope = "admin") {
+  const rows = await LoginAttempt.find({
+    key: { $in: keysFor(ip, username, scope).map((k) => k.key) },
+    lockedUntil: { $gt: new Date() },
+  });
+  if (rows.length === 0) return null;
+  return new Date(Math.max(...rows.map((r) => r.lockedUntil.getTime())));
+}
+
+async function countFailure({ key, limit }) {
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + WINDOW_MS + LOCK_MS);
+
+  // Count within the current window, or start a new one
+  let row = await LoginAttempt.findOneAndUpdate(
+    { key, firstFailureAt: { $gte: new Date(now.getTime() - WINDOW_MS) } },
+    { $inc: { failures: 1 }, $set: { expiresAt } },
+    { new: true }
+  );
+  if (!row) {
+    row = await LoginAttempt.findOneAndUpdate(
+      { key },
+      {
+        $set: {
+          failures: 1,
+          firstFailureAt: now,
+          lockedUntil: null,
+          expiresAt,
+        },
+      },
+      { upsert: true, new: true }
+    );
+  }
+
+  if (row.failures >= limit) {
+    await LoginAttempt.updateOne(
+      { key },
+      { $set: { lockedUntil: new Date(now.getTime() + LOCK_MS) } }
+    );
+    console.warn("Login locked:", { key, failures: row.failures });
+  }
+}
+
+export async function recordLoginFailure(ip, username, scope = "admin") {
+  for (const entry of keysFor(ip, username, scope)) {
+    await countFailure(entry);
+  }
+}
+
+// A successful login clears the username's counter; the IP's stays so one
+// valid account can't be used to reset guessing against others
+export async function clearLoginFailures(username) {
+  await LoginAttempt.deleteOne({
+    key: `user:${String(username || "").toLowerCase()}`,
+  });
+}
@@ -0,0 +1,152 @@
+import nodemailer from "nodemailer";
+import { receiptBuffer } from "./receipt.js";
+import { trackingUrl } from "./tracking.js";
+
+let transporter = null;
+
+// Email is optional: without SMTP_HOST every send is skipped
+export function isEmailConfigured() {
+  return Boolean(process.env.SMTP_HOST);
+}
+
+function getTransporter() {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    });
+  }
+  return transporter;
+}
+
+const escapeHtml = (val) =>
+  String(val ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+const money = (n) => `Rs. ${Number(n || 0).toFixed(2)}`;
+
+function orderEmailHtml(order, { heading, trackingLink }) {
+  const trackUrl = trackingLink ? trackingUrl(order) : null;
+  const rows = order.cartItems
+    .map((item) => {
+      const options = [item.selectedSize, item.selectedColor]
+        .filter(Boolean)
+        .join(", ");
+      return `<tr>
+        <td style="padding:6px;border-bottom:1px solid #eee">${escapeHtml(
+          item.name
+        )}${options ? ` (${escapeHtml(options)})` : ""}${
+        item.sku ? `<br><small>SKU: ${escapeHtml(item.sku)}</small>` : ""
+      }</td>
+        <td style="padding:6px;border-bottom:1px solid #eee;text-align:center">${
+          item.quantity
+        }</td>
+        <td style="padding:6px;border-bottom:1px solid #eee;text-align:right">${money(
+          item.price * item.quantity
+        )}</td>
+      </tr>`;
+    })
+    .join("");
+
+  const discountRow =
+    order.discount > 0
+      ? `<tr><td colspan="2" style="padding:4px 6px;text-align:right">Discount (${escapeHtml(
+          order.couponCode
+        )})</td><td style="padding:4px 6px;text-align:right">- ${money(
+          order.discount
+        )}</td></tr>`
+      : "";
+
+  return `<!DOCTYPE html>
+<html>
+  <body style="margin:0;padding:24px;background:#f5f5f7;font-family:Helvetica,Arial,sans-serif;color:#333">
+    <div style="max-width:600px;margin:0 auto;background:#fff;border-radius:8px;padding:24px">
+      <h1 style="margin:0 0 4px;color:#6366f1;font-size:24px">MYR SURGICAL</h1>
+      <h2 style="margin:0 0 16px;color:#9c1f2e;font-size:18px">${escapeHtml(
+        heading
+      )}</h2>
+      <p>Order ID: <strong>${escapeHtml(order.orderId)}</strong><br>
+        Date: ${new Date(order.createdAt).toLocaleDateString()}<br>
+        Payment Method: ${escapeHtml(order.paymentMethod)}</p>
+      <table style="width:100%;border-collapse:collapse;font-size:14px">
+        <tr style="color:#6366f1;text-align:left">
+          <th style="padding:6px;border-bottom:2px solid #f43f5e">Item</th>
+          <th style="padding:6px;border-bottom:2px solid #f43f5e">Qty</th>
+          <th style="padding:6px;border-bottom:2px solid #f43f5e;text-align:right">Amount</th>
+        </tr>
+        ${rows}
+        <tr><td colspan="2" style="padding:4px 6px;text-align:right">Sub Total</td><td style="padding:4px 6px;text-align:right">${money(
+          order.subtotal
+        )}</td></tr>
+        ${discountRow}
+        <tr><td colspan="2" style="padding:4px 6px;text-align:right">Delivery Charges</td><td style="padding:4px 6px;text-align:right">${money(
+          order.deliveryCharges
+        )}</td></tr>
+        <tr><td colspan="2" style="padding:4px 6px;text-align:right"><strong>Total Amount</strong></td><td style="padding:4px 6px;text-align:right"><strong>${money(
+          order.totalAmount
+        )}</strong></td></tr>
+      </table>
+      <h3 style="color:#9c1f2e;font-size:16px">Shipping To</h3>
+      <p>${escapeHtml(order.name)}<br>
+        ${escapeHtml(order.houseNo)}, ${escapeHtml(order.Block)}, ${escapeHtml(
+    order.Area
+  )}<br>
+        Near ${escapeHtml(order.landmark)}, ${escapeHtml(order.city)}<br>
+        ${escapeHtml(order.contact)}</p>
+      ${
+        trackUrl
+          ? `<p><a href="${escapeHtml(
+              trackUrl
+            )}" style="color:#6366f1">Track your order</a></p>`
+          : ""
+      }
+      <p style="font-size:12px;color:#444">Your receipt is attached as a PDF.<br>
+        Thank you for shopping with MYR Surgical!</p>
+    </div>
+  </body>
+</html>`;
+}
+
+// Order email templates: subject and heading for each recipient type
+export const ORDER_EMAIL_TEMPLATES = {
+  order_confirmation: {
+    subject: (order) => `Order Confirmation – ${order.orderId}`,
+    heading: "Thank you for your order!",
+    trackingLink: true,
+  },
+  order_confirmation_admin: {
+    subject: (order) => `New Order ${order.orderId} – ${order.name}`,
+    heading: "New order received",
+  },
+};
+
+// Send one order email with the PDF receipt attached. Throws on failure so
+// the notification outbox can retry.
+export async function sendOrderEmail(order, { to, templateName }) {
+  if (!isEmailConfigured()) throw new Error("SMTP_HOST is not set in env");
+  const template = ORDER_EMAIL_TEMPLATES[templateName];
+  if (!template) throw new Error(`Unknown email template: ${templateName}`);
+
+  const info = await getTransporter().sendMail({
+    from: process.env.MAIL_FROM || `"MYR Surgical" <${process.env.SMTP_USER}>`,
+    to,
+    subject: template.subject(order),
+    html: orderEmailHtml(order, template),
+    attachments: [
+      {
+        filename: `receipt-${order._id}.pdf`,
+        content: await receiptBuffer(order),
+        contentType: "application/pdf",
+      },
+    ],
+  });
+  return info.messageId;
+}
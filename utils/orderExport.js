@@ -0,0 +1,145 @@
+import { once } from "events";
+import ExcelJS from "exceljs";
+import { csvRow } from "./csv.js";
+
+export const EXPORT_FORMATS = ["csv", "xlsx"];
+export const EXPORT_MODES = ["order", "line"];
+
+// Customer/order columns shared by both modes
+const ORDER_FIELDS = [
+  { header: "Order ID", width: 18, value: (o) => o.orderId },
+  { header: "Date", width: 20, value: (o) => o.createdAt },
+  { header: "Status", width: 12, value: (o) => o.status || "pending" },
+  { header: "Name", width: 22, value: (o) => o.name },
+  { header: "Contact", width: 15, value: (o) => o.contact },
+  { header: "Email", width: 24, value: (o) => o.email },
+  { header: "City", width: 14, value: (o) => o.city },
+  { header: "House No", width: 10, value: (o) => o.houseNo },
+  { header: "Block", width: 10, value: (o) => o.Block },
+  { header: "Area", width: 18, value: (o) => o.Area },
+  { header: "Landmark", width: 18, value: (o) => o.landmark },
+  { header: "Payment Method", width: 14, value: (o) => o.paymentMethod },
+  {
+    header: "Payment Status",
+    width: 14,
+    value: (o) => o.payment?.status || "not_required",
+  },
+  {
+    header: "Transaction ID",
+    width: 18,
+    value: (o) => o.payment?.transactionId,
+  },
+];
+
+const TOTAL_FIELDS = [
+  { header: "Subtotal", width: 12, value: (o) => o.subtotal },
+  { header: "Coupon", width: 12, value: (o) => o.couponCode },
+  { header: "Discount", width: 10, value: (o) => o.discount || 0 },
+  { header: "Delivery Charges", width: 14, value: (o) => o.deliveryCharges },
+  { header: "Total Amount", width: 13, value: (o) => o.totalAmount },
+];
+
+const LINE_FIELDS = [
+  { header: "SKU", width: 14, value: (o, item) => item.sku },
+  { header: "Product", width: 28, value: (o, item) => item.name },
+  { header: "Category", width: 14, value: (o, item) => item.category },
+  { header: "Color", width: 10, value: (o, item) => item.selectedColor },
+  { header: "Size", width: 8, value: (o, item) => item.selectedSize },
+  { header: "Unit Price", width: 11, value: (o, item) => item.price },
+  { header: "Quantity", width: 9, value: (o, item) => item.quantity },
+  {
+    header: "Line Total",
+    width: 11,
+    value: (o, item) => item.price * item.quantity,
+  },
+];
+
+const COLUMNS = {
+  order: [
+    ...ORDER_FIELDS,
+    {
+      header: "Items",
+      width: 40,
+      value: (o) =>
+        o.cartItems
+          .map((item) => {
+            const options = [item.selectedColor, item.selectedSize]
+              .filter(Boolean)
+              .join("/");
+            return `${item.name}${options ? ` (${options})` : ""} x${
+              item.quantity
+            }`;
+          })
+          .join("; "),
+    },
+    ...TOTAL_FIELDS,
+  ],
+  line: [...ORDER_FIELDS, ...LINE_FIELDS, ...TOTAL_FIELDS],
+};
+
+// Rows for one order. In line mode the order totals go on its first line
+// only, so summing a column never counts an order twice.
+function orderRows(order, mode) {
+  const columns = COLUMNS[mode];
+  if (mode === "order") return [columns.map((c) => c.value(order) ?? "")];
+
+  return order.cartItems.map((item, index) =>
+    columns.map((c) =>
+      index > 0 && TOTAL_FIELDS.includes(c) ? "" : c.value(order, item) ?? ""
+    )
+  );
+}
+
+async function writeCsv(orders, res, mode) {
+  const write = async (cells) => {
+    if (!res.write(csvRow(cells, { guardFormulas: true }))) {
+      await once(res, "drain");
+    }
+  };
+  // BOM so Excel opens the file as UTF-8
+  res.write("\uFEFF");
+  await write(COLUMNS[mode].map((c) => c.header));
+  for await (const order of orders) {
+    for (const row of orderRows(order, mode)) await write(row);
+  }
+  res.end();
+}
+
+async function writeXlsx(orders, res, mode) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+    stream: res,
+    useStyles: true,
+  });
+  const sheet = workbook.addWorksheet("Orders", {
+    views: [{ state: "frozen", ySplit: 1 }],
+  });
+  sheet.columns = COLUMNS[mode].map((c) => ({
+    header: c.header,
+    width: c.width,
+    style: c.header === "Date" ? { numFmt: "yyyy-mm-dd hh:mm" } : {},
+  }));
+  sheet.getRow(1).font = { bold: true };
+  sheet.getRow(1).commit();
+
+  for await (const order of orders) {
+    for (const row of orderRows(order, mode)) sheet.addRow(row).commit();
+  }
+  sheet.commit();
+  await workbook.commit();
+}
+
+// Stream orders (any async iterable, e.g. a mongoose cursor) to the response
+// as CSV or XLSX, one row per order or per cart line
+export async function streamOrderExport(orders, res, { format, mode }) {
+  const filename = `orders-${new Date().toISOString().slice(0, 10)}.${format}`;
+  res.setHeader(
+    "Content-Type",
+    format === "xlsx"
+      ? "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+      : "text/csv; charset=utf-8"
+  );
+  res.setHeader("Content-Disposition", `attachment; filename=${filename}`);
+
+  if (format === "xlsx") await writeXlsx(orders, res, mode);
+  else await writeCsv(orders, res, mode);
+}
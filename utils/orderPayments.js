@@ -0,0 +1,214 @@
+import crypto from "crypto";
+import Order from "../models/Orders.js";
+import { changeOrderStatus } from "./orderStatus.js";
+import { paymentBaseUrl } from "./payments/index.js";
+
+const MINUTE_MS = 60 * 1000;
+const EXPIRY_INTERVAL_MS = 5 * MINUTE_MS;
+
+// Minutes an online-payment order waits for payment before it is cancelled
+// and its stock and coupon use released
+export const paymentTimeoutMinutes = () =>
+  Number(process.env.PAYMENT_TIMEOUT_MINUTES) || 60;
+
+export const paymentDeadline = (order) =>
+  new Date(
+    new Date(order.createdAt).getTime() + paymentTimeoutMinutes() * MINUTE_MS
+  );
+
+// Unique reference for one payment attempt. Gateways reject a reused
+// reference, so every retry gets a new one (max 20 chars for JazzCash).
+function newTxnRef() {
+  const random = String(crypto.randomInt(0, 100000)).padStart(5, "0");
+  return `T${Date.now()}${random}`;
+}
+
+// Start (or retry) payment of `order` with `provider`. Returns
+// { order, checkout } or { code, error } with the HTTP status to answer with.
+export async function initiatePayment(order, provider, now = new Date()) {
+  const paymentStatus = order.payment?.status || "not_required";
+  if (paymentStatus === "paid") {
+    return { code: 409, error: "This order is already paid" };
+  }
+  if (paymentStatus === "not_required") {
+    return { code: 409, error: "This order is not paid online" };
+  }
+  if ((order.status || "pending") !== "pending") {
+    return { code: 409, error: `This order is ${order.status}` };
+  }
+  const expiresAt = paymentDeadline(order);
+  if (expiresAt <= now) {
+    return { code: 410, error: "The payment window for this order has closed" };
+  }
+
+  const txnRef = newTxnRef();
+  const updated = await Order.findOneAndUpdate(
+    {
+      _id: order._id,
+      status: { $in: ["pending", null] },
+      "payment.status": { $in: ["pending", "failed"] },
+    },
+    {
+      $set: {
+        paymentMethod: provider.name,
+        "payment.provider": provider.name,
+        "payment.status": "pending",
+        "payment.txnRef": txnRef,
+        "payment.failureReason": null,
+        "payment.initiatedAt": now,
+      },
+      $inc: { "payment.attempts": 1 },
+    },
+    { new: true }
+  );
+  if (!updated) {
+    return { code: 409, error: "Order was changed, please reload" };
+  }
+
+  const checkout = provider.createCheckout({
+    txnRef,
+    amount: updated.totalAmount,
+    description: `MYR Surgical order ${updated.orderId}`,
+    returnUrl: `${paymentBaseUrl()}/payments/${provider.name}/callback`,
+    expiresAt,
+    now,
+  });
+  console.log("Payment initiated:", {
+    id: updated._id,
+    provider: provider.name,
+    txnRef,
+  });
+  return { order: updated, checkout };
+}
+
+// Apply a gateway callback/IPN after checking its signature. Returns
+// { order, result, paid } where `paid` is true only for the call that moved
+// the order to paid, so duplicate deliveries (browser return + IPN) notify
+// once; or { code, error }.
+export async function applyPaymentCallback(
+  provider,
+  payload,
+  now = new Date()
+) {
+  let result;
+  try {
+    result = provider.parseCallback(payload);
+  } catch (err) {
+    return { code: 400, error: err.message };
+  }
+
+  const order = await Order.findOne({
+    "payment.provider": provider.name,
+    "payment.txnRef": result.txnRef,
+  });
+  if (!order) {
+    return { code: 404, error: "No order for this transaction" };
+  }
+  if (result.status === "pending") {
+    return { order, result, paid: false };
+  }
+
+  let { status, reason } = result;
+  const toPaisa = (amount) => Math.round(Number(amount) * 100);
+  if (
+    status === "paid" &&
+    toPaisa(result.amount) !== toPaisa(order.totalAmount)
+  ) {
+    console.error("Payment amount mismatch:", {
+      id: order._id,
+      txnRef: result.txnRef,
+      expected: order.totalAmount,
+      received: result.amount,
+    });
+    status = "failed";
+    reason = "Paid amount does not match the order total";
+  }
+
+  const set =
+    status === "paid"
+      ? {
+          "payment.status": "paid",
+          "payment.transactionId": result.transactionId,
+          "payment.failureReason": null,
+          "payment.paidAt": now,
+        }
+      : { "payment.status": "failed", "payment.failureReason": reason };
+  const updated = await Order.findOneAndUpdate(
+    {
+      _id: order._id,
+      "payment.txnRef": result.txnRef,
+      "payment.status": { $ne: "paid" },
+    },
+    { $set: set },
+    { new: true }
+  );
+  if (!updated) {
+    // Already settled by an earlier delivery of the same result
+    return { order: await Order.findById(order._id), result, paid: false };
+  }
+
+  console.log("Payment result:", {
+    id: updated._id,
+    txnRef: result.txnRef,
+    status,
+    transactionId: result.transactionId,
+  });
+  return {
+    order: updated,
+    result: { ...result, status, reason },
+    paid: status === "paid",
+  };
+}
+
+// Cancel online-payment orders that weren't paid within the payment window.
+// Cancelling goes through changeOrderStatus, which releases their stock and
+// gives back their coupon use.
+export async function expireUnpaidOrders(now = new Date()) {
+  const cutoff = new Date(now.getTime() - paymentTimeoutMinutes() * MINUTE_MS);
+  const unpaid = await Order.find({
+    status: { $in: ["pending", null] },
+    "payment.status": { $in: ["pending", "failed"] },
+    createdAt: { $lte: cutoff },
+  });
+  for (const order of unpaid) {
+    try {
+      const claimed = await Order.findOneAndUpdate(
+        { _id: order._id, "payment.status": { $in: ["pending", "failed"] } },
+        {
+          $set: {
+            "payment.status": "failed",
+            "payment.failureReason":
+              order.payment.failureReason || "Payment not completed in time",
+          },
+        },
+        { new: true }
+      );
+      if (!claimed) continue;
+      const { error } = await changeOrderStatus(claimed, "cancelled", {
+        changedBy: "system",
+        note: "Payment not completed",
+      });
+      if (error) {
+        console.error("Payment expiry error:", { id: order._id, error });
+      }
+    } catch (err) {
+      console.error("Payment expiry error:", {
+        id: order._id,
+        message: err.message,
+      });
+    }
+  }
+  if (unpaid.length > 0) {
+    console.log("Unpaid orders expired:", { count: unpaid.length });
+  }
+}
+
+export function startPaymentExpiryWorker() {
+  const run = () =>
+    expireUnpaidOrders().catch((err) =>
+      console.error("Payment expiry error:", err)
+    );
+  setInterval(run, EXPIRY_INTERVAL_MS).unref();
+  setImmediate(run);
+  console.log("✅ Payment expiry worker started");
+}
@@ -0,0 +1,186 @@
+import {
+  ORDER_STATUSES,
+  PAYMENT_STATUSES,
+  VERIFICATION_STATUSES,
+} from "../models/Orders.js";
+
+const SORTS = {
+  newest: { createdAt: -1, _id: -1 },
+  oldest: { createdAt: 1, _id: 1 },
+  amount_desc: { totalAmount: -1, _id: -1 },
+  amount_asc: { totalAmount: 1, _id: 1 },
+};
+
+export const DEFAULT_PAGE_SIZE = 25;
+export const MAX_PAGE_SIZE = 100;
+
+const csv = (val) =>
+  String(val)
+    .split(",")
+    .map((v) => v.trim())
+    .filter(Boolean);
+
+const escapeRegex = (val) => val.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+function parsePositiveInt(name, val) {
+  const num = Number(val);
+  if (!Number.isInteger(num) || num < 1) {
+    throw new Error(`${name} must be an integer >= 1`);
+  }
+  return num;
+}
+
+// A bare date (2024-05-31) as "to" means the end of that day
+export function parseDate(name, val, { endOfDay = false } = {}) {
+  const str = String(val);
+  const date = new Date(str);
+  if (isNaN(date)) throw new Error(`${name} must be a valid date`);
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(str)) {
+    date.setUTCHours(23, 59, 59, 999);
+  }
+  return date;
+}
+
+// Filter on payment.status / verification.status. Orders saved before those
+// steps existed have no status and count as not_required.
+function stepFilter(query, name, path, allowed) {
+  const statuses = csv(query[name]);
+  const invalid = statuses.filter((s) => !allowed.includes(s));
+  if (invalid.length > 0) {
+    throw new Error(`Invalid ${name}. Allowed: ${allowed.join(", ")}`);
+  }
+  return {
+    [path]: {
+      $in: statuses.includes("not_required") ? [...statuses, null] : statuses,
+    },
+  };
+}
+
+// Mongo filter for the admin order list and export. Supports status, city,
+// paymentMethod, paymentStatus, verificationStatus (comma separated), from/to
+// on createdAt and a free-text search over name, contact and orderId. Throws
+// on invalid parameters.
+export function buildOrderFilter(query) {
+  const and = [];
+
+  if (query.status) {
+    const statuses = csv(query.status);
+    const invalid = statuses.filter((s) => !ORDER_STATUSES.includes(s));
+    if (invalid.length > 0) {
+      throw new Error(`Invalid status. Allowed: ${ORDER_STATUSES.join(", ")}`);
+    }
+    // Orders from before statuses existed count as pending
+    and.push({
+      status: {
+        $in: statuses.includes("pending") ? [...statuses, null] : statuses,
+      },
+    });
+  }
+  if (query.city) {
+    and.push({
+      city: {
+        $in: csv(query.city).map((c) => new RegExp(`^${escapeRegex(c)}$`, "i")),
+      },
+    });
+  }
+  if (query.paymentMethod) {
+    and.push({
+      paymentMethod: {
+        $in: csv(query.paymentMethod).map(
+          (m) => new RegExp(`^${escapeRegex(m)}$`, "i")
+        ),
+      },
+    });
+  }
+  if (query.paymentStatus) {
+    and.push(
+      stepFilter(query, "paymentStatus", "payment.status", PAYMENT_STATUSES)
+    );
+  }
+  if (query.verificationStatus) {
+    and.push(
+      stepFilter(
+        query,
+        "verificationStatus",
+        "verification.status",
+        VERIFICATION_STATUSES
+      )
+    );
+  }
+  if (query.from || query.to) {
+    const createdAt = {};
+    if (query.from) createdAt.$gte = parseDate("from", query.from);
+    if (query.to)
+      createdAt.$lte = parseDate("to", query.to, { endOfDay: true });
+    and.push({ createdAt });
+  }
+  if (query.search) {
+    const term = String(query.search).trim();
+    const pattern = new RegExp(escapeRegex(term), "i");
+    const or = [{ name: pattern }, { contact: pattern }, { orderId: pattern }];
+    // 03xx… and 923xx… both find the same customer
+    const digits = term.replace(/[^0-9]/g, "").replace(/^(92|0)/, "");
+    if (digits.length >= 4) {
+      or.push({ contactKey: new RegExp(digits.slice(-10)) });
+    }
+    and.push({ $or: or });
+  }
+
+  return and.length > 0 ? { $and: and } : {};
+}
+
+// Aggregation pipeline behind GET /admin/orders: one page of orders plus
+// totals over the whole filtered set
+export function buildOrderQuery(query) {
+  const filter = buildOrderFilter(query);
+
+  const page =
+    query.page !== undefined ? parsePositiveInt("page", query.page) : 1;
+  const limit =
+    query.limit !== undefined
+      ? Math.min(parsePositiveInt("limit", query.limit), MAX_PAGE_SIZE)
+      : DEFAULT_PAGE_SIZE;
+
+  const sort = SORTS[query.sort || "newest"];
+  if (!sort) {
+    throw new Error(`sort must be one of: ${Object.keys(SORTS).join(", ")}`);
+  }
+
+  const pipeline = [
+    { $match: filter },
+    {
+      $facet: {
+        orders: [
+          { $sort: sort },
+          { $skip: (page - 1) * limit },
+          { $limit: limit },
+        ],
+        totals: [
+          {
+            $group: {
+              _id: null,
+              count: { $sum: 1 },
+              subtotal: { $sum: { $ifNull: ["$subtotal", 0] } },
+              discount: { $sum: { $ifNull: ["$discount", 0] } },
+              deliveryCharges: { $sum: { $ifNull: ["$deliveryCharges", 0] } },
+              totalAmount: { $sum: { $ifNull: ["$totalAmount", 0] } },
+              averageOrderValue: { $avg: { $ifNull: ["$totalAmount", 0] } },
+            },
+          },
+        ],
+        byStatus: [
+          {
+            $group: {
+              _id: { $ifNull: ["$status", "pending"] },
+              count: { $sum: 1 },
+              totalAmount: { $sum: { $ifNull: ["$totalAmount", 0] } },
+            },
+          },
+          { $sort: { _id: 1 } },
+        ],
+      },
+    },
+  ];
+
+  return { pipeline, page, limit };
+}
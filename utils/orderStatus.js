@@ -0,0 +1,82 @@
+import Order, { ORDER_STATUS_TRANSITIONS } from "../models/Orders.js";
+import { restockOrder } from "./stock.js";
+import { releaseOrderCoupon } from "./coupons.js";
+
+// Move an order to `status` if the lifecycle allows it. The update is applied
+// against the status we read, so two concurrent changes can't both win.
+// Returns { order } on success, or { code, error, allowed } where code is the
+// HTTP status to answer with (400 invalid transition, 409 lost a race).
+export async function changeOrderStatus(order, status, { changedBy, note }) {
+  const current = order.status || "pending";
+  if (!ORDER_STATUS_TRANSITIONS[current].includes(status)) {
+    console.error("Invalid status transition:", {
+      id: order._id,
+      from: current,
+      to: status,
+    });
+    return {
+      code: 400,
+      error: `Cannot change status from ${current} to ${status}`,
+      allowed: ORDER_STATUS_TRANSITIONS[current],
+    };
+  }
+
+  // Online orders can only move on once paid and cash on delivery orders once
+  // the phone number is confirmed; cancelling is always allowed
+  const paymentStatus = order.payment?.status;
+  if (
+    status !== "cancelled" &&
+    (paymentStatus === "pending" || paymentStatus === "failed")
+  ) {
+    return { code: 400, error: "This order has not been paid yet" };
+  }
+  const verificationStatus = order.verification?.status;
+  if (
+    status !== "cancelled" &&
+    (verificationStatus === "pending" || verificationStatus === "failed")
+  ) {
+    return {
+      code: 400,
+      error: "The customer has not confirmed this order's phone number",
+    };
+  }
+
+  // Orders saved before statuses existed have no status field
+  const updated = await Order.findOneAndUpdate(
+    {
+      _id: order._id,
+      status: current === "pending" ? { $in: ["pending", null] } : current,
+    },
+    {
+      $set: { status },
+      $push: {
+        statusHistory: {
+          from: current,
+          to: status,
+          changedBy,
+          note: note || "",
+        },
+      },
+    },
+    { new: true }
+  );
+  if (!updated) {
+    return {
+      code: 409,
+      error: "Order status was changed by someone else, please reload",
+    };
+  }
+
+  console.log("Order status updated:", {
+    id: updated._id,
+    from: current,
+    to: status,
+    changedBy,
+  });
+
+  if (status === "cancelled") {
+    await restockOrder(updated);
+    await releaseOrderCoupon(updated);
+  }
+  return { order: updated };
+}
@@ -0,0 +1,137 @@
+import Order from "../models/Orders.js";
+import { issueOtp, verifyOtp } from "./otp.js";
+import { reserveStock, releaseStock, recordSales } from "./stock.js";
+import { changeOrderStatus } from "./orderStatus.js";
+
+const MINUTE_MS = 60 * 1000;
+const EXPIRY_INTERVAL_MS = 5 * MINUTE_MS;
+
+// Cash on delivery orders must be confirmed with a code sent to the contact
+// number unless COD_VERIFICATION=false
+export const codVerificationEnabled = () =>
+  process.env.COD_VERIFICATION !== "false";
+
+// Minutes an unverified order is kept before it is cancelled
+export const verificationTimeoutMinutes = () =>
+  Number(process.env.ORDER_VERIFICATION_TIMEOUT_MINUTES) || 30;
+
+const otpKey = (order) => `order:${order._id}`;
+
+// Send (or resend) the confirmation code for an order to its contact number.
+// Returns { expiresIn } or { retryAfter } like issueOtp.
+export function sendOrderCode(order) {
+  return issueOtp(otpKey(order), order.contact);
+}
+
+// Drop an unverified order: mark verification failed and cancel it, which
+// returns its coupon use. It holds no stock, so there is nothing to restock.
+async function cancelUnverified(order, note) {
+  // Claim it first so a code being entered right now can't also confirm it
+  const claimed = await Order.findOneAndUpdate(
+    { _id: order._id, "verification.status": "pending" },
+    { $set: { "verification.status": "failed" } },
+    { new: true }
+  );
+  if (!claimed) return;
+  const { error } = await changeOrderStatus(claimed, "cancelled", {
+    changedBy: "system",
+    note,
+  });
+  if (error) {
+    console.error("Order verification error:", { id: order._id, error });
+  }
+}
+
+// Confirm an order with the code the customer received. Stock is reserved
+// now rather than when the order was placed. Returns { order } or
+// { code, error, errors, wrongCode } with the HTTP status to answer with.
+export async function verifyOrder(order, code) {
+  if (order.verification?.status !== "pending") {
+    return { code: 409, error: "This order does not need verification" };
+  }
+  if ((order.status || "pending") !== "pending") {
+    return { code: 409, error: `This order is ${order.status}` };
+  }
+  if (!(await verifyOtp(otpKey(order), code))) {
+    return { code: 400, error: "Invalid or expired code", wrongCode: true };
+  }
+
+  // The code works once, so only one request gets this far per code
+  const items = order.cartItems.filter((item) => item.productId);
+  const shortItems = await reserveStock(items);
+  if (shortItems.length > 0) {
+    await cancelUnverified(order, "Out of stock at verification");
+    return {
+      code: 409,
+      error: "Some items went out of stock, your order was cancelled",
+      errors: shortItems.map((item) => ({
+        productId: item.productId,
+        sku: item.sku,
+        name: item.name,
+        reason: "Insufficient stock",
+      })),
+    };
+  }
+
+  const updated = await Order.findOneAndUpdate(
+    {
+      _id: order._id,
+      status: { $in: ["pending", null] },
+      "verification.status": "pending",
+    },
+    {
+      $set: {
+        "verification.status": "verified",
+        "verification.verifiedAt": new Date(),
+        stockReserved: true,
+      },
+    },
+    { new: true }
+  );
+  if (!updated) {
+    // Expired or cancelled while the code was being checked
+    await releaseStock(items);
+    return { code: 409, error: "Order was changed, please reload" };
+  }
+
+  recordSales(items).catch((err) =>
+    console.error("Failed to record sales:", err)
+  );
+  console.log("Order verified:", { id: updated._id });
+  return { order: updated };
+}
+
+// Cancel orders whose code was never entered
+export async function expireUnverifiedOrders(now = new Date()) {
+  const cutoff = new Date(
+    now.getTime() - verificationTimeoutMinutes() * MINUTE_MS
+  );
+  const unverified = await Order.find({
+    status: { $in: ["pending", null] },
+    "verification.status": "pending",
+    createdAt: { $lte: cutoff },
+  });
+  for (const order of unverified) {
+    try {
+      await cancelUnverified(order, "Phone number not verified");
+    } catch (err) {
+      console.error("Order verification error:", {
+        id: order._id,
+        message: err.message,
+      });
+    }
+  }
+  if (unverified.length > 0) {
+    console.log("Unverified orders expired:", { count: unverified.length });
+  }
+}
+
+export function startOrderVerificationWorker() {
+  const run = () =>
+    expireUnverifiedOrders().catch((err) =>
+      console.error("Order verification error:", err)
+    );
+  setInterval(run, EXPIRY_INTERVAL_MS).unref();
+  setImmediate(run);
+  console.log("✅ Order verification worker started");
+}
@@ -0,0 +1,126 @@
+import crypto from "crypto";
+import PhoneOtp from "../models/PhoneOtp.js";
+import OtpSend from "../models/OtpSend.js";
+import { sendWhatsAppTemplate } from "./sendWhatsAppTemplate.js";
+import { phoneKey } from "./phone.js";
+
+const OTP_TTL_MS = 5 * 60 * 1000;
+const RESEND_AFTER_MS = 60 * 1000;
+const MAX_ATTEMPTS = 5;
+const SEND_WINDOW_MS = 60 * 60 * 1000;
+const MAX_SENDS_PER_WINDOW = 5;
+
+const hashCode = (key, code) =>
+  crypto.createHash("sha256").update(`${key}:${code}`).digest("hex");
+
+// Send the code with the WhatsApp authentication template (body text plus
+// the copy-code button). Without WhatsApp credentials outside production,
+// the code is logged instead so sign-in can be tested locally.
+async function deliverOtp(phone, code) {
+  if (!process.env.WHATSAPP_TOKEN && process.env.NODE_ENV !== "production") {
+    console.log("OTP (WhatsApp not configured):", { phone, code });
+    return;
+  }
+  await sendWhatsAppTemplate({
+    to: String(phone).replace(/^0/, "92"), // Pakistan format
+    templateName: process.env.WHATSAPP_OTP_TEMPLATE || "customer_otp",
+    components: [
+      { type: "body", parameters: [{ type: "text", text: code }] },
+      {
+        type: "button",
+        sub_type: "url",
+        index: "0",
+        parameters: [{ type: "text", text: code }],
+      },
+    ],
+  });
+}
+
+// Count one send against the phone number's allowance for the window.
+// Returns the seconds until it may get another code, or 0 if this send is
+// within the allowance.
+async function takeSendAllowance(phone, now) {
+  const key = phoneKey(phone);
+  let row = await OtpSend.findOneAndUpdate(
+    { key, windowStartedAt: { $gt: new Date(now - SEND_WINDOW_MS) } },
+    { $inc: { count: 1 } },
+    { new: true }
+  );
+  if (!row) {
+    row = await OtpSend.findOneAndUpdate(
+      { key },
+      {
+        $set: {
+          count: 1,
+          windowStartedAt: new Date(now),
+          expiresAt: new Date(now + SEND_WINDOW_MS),
+        },
+      },
+      { upsert: true, new: true }
+    );
+  }
+  if (row.count <= MAX_SENDS_PER_WINDOW) return 0;
+  return Math.ceil(
+    (row.windowStartedAt.getTime() + SEND_WINDOW_MS - now) / 1000
+  );
+}
+
+// Create and send a 6-digit code for `key` (e.g. "login:<phoneKey>"),
+// replacing any earlier one. Returns { retryAfter } (seconds) instead when
+// a code was sent less than a minute ago, or the number has had
+// MAX_SENDS_PER_WINDOW codes this hour.
+export async function issueOtp(key, phone) {
+  const now = Date.now();
+  const existing = await PhoneOtp.findOne({ key });
+  if (existing && now - existing.sentAt.getTime() < RESEND_AFTER_MS) {
+    return {
+      retryAfter: Math.ceil(
+        (existing.sentAt.getTime() + RESEND_AFTER_MS - now) / 1000
+      ),
+    };
+  }
+  const retryAfter = await takeSendAllowance(phone, now);
+  if (retryAfter) return { retryAfter };
+
+  // A resend replaces the code but keeps the wrong guesses made while the
+  // previous one was live, so resending doesn't buy more guesses
+  const live = existing && existing.expiresAt.getTime() > now;
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, "0");
+  await PhoneOtp.findOneAndUpdate(
+    { key },
+    {
+      $set: {
+        codeHash: hashCode(key, code),
+        ...(!live && { attempts: 0 }),
+        sentAt: new Date(now),
+        expiresAt: new Date(now + OTP_TTL_MS),
+      },
+    },
+    { upsert: true }
+  );
+  await deliverOtp(phone, code);
+  return { expiresIn: OTP_TTL_MS / 1000 };
+}
+
+// Check a code; each code allows MAX_ATTEMPTS guesses and works once.
+// Returns true when it matches.
+export async function verifyOtp(key, code) {
+  if (!/^\d{6}$/.test(String(code || ""))) return false;
+  // Count the guess before comparing so parallel guesses can't exceed the limit
+  const otp = await PhoneOtp.findOneAndUpdate(
+    { key, expiresAt: { $gt: new Date() }, attempts: { $lt: MAX_ATTEMPTS } },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!otp) return false;
+
+  const expected = Buffer.from(otp.codeHash, "hex");
+  const received = Buffer.from(hashCode(key, String(code)), "hex");
+  if (!crypto.timingSafeEqual(expected, received)) return false;
+
+  const { deletedCount } = await PhoneOtp.deleteOne({
+    _id: otp._id,
+    codeHash: otp.codeHash,
+  });
+  return deletedCount === 1;
+}
@@ -0,0 +1,153 @@
+import Notification from "../models/Notification.js";
+import Order from "../models/Orders.js";
+import { sendWhatsAppTemplate } from "./sendWhatsAppTemplate.js";
+import { sendOrderEmail } from "./mailer.js";
+
+export const MAX_ATTEMPTS = 6;
+const BASE_DELAY_MS = 30 * 1000; // 30s, 1m, 2m, 4m, 8m…
+const MAX_DELAY_MS = 60 * 60 * 1000;
+const POLL_INTERVAL_MS = 30 * 1000;
+// A "sending" row older than this was interrupted (e.g. server restart)
+const STALE_LOCK_MS = 5 * 60 * 1000;
+
+export const retryDelay = (attempts) =>
+  Math.min(BASE_DELAY_MS * 2 ** (attempts - 1), MAX_DELAY_MS);
+
+// Deliver one notification through its channel; returns the provider id
+async function deliver(notification) {
+  if (notification.channel === "whatsapp") {
+    const data = await sendWhatsAppTemplate({
+      to: notification.to,
+      templateName: notification.templateName,
+      components: notification.params,
+    });
+    return data?.messages?.[0]?.id || null;
+  }
+
+  const order = await Order.findById(notification.order);
+  if (!order) throw new Error("Order no longer exists");
+  return sendOrderEmail(order, {
+    to: notification.to,
+    templateName: notification.templateName,
+  });
+}
+
+// Claim the next due notification so only one worker sends it
+function claimNext() {
+  const now = new Date();
+  return Notification.findOneAndUpdate(
+    {
+      $or: [
+        { status: "pending", nextAttemptAt: { $lte: now } },
+        {
+          status: "sending",
+          lockedAt: { $lte: new Date(now - STALE_LOCK_MS) },
+        },
+      ],
+    },
+    { $set: { status: "sending", lockedAt: now }, $inc: { attempts: 1 } },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+}
+
+async function processNotification(notification) {
+  try {
+    const providerMessageId = await deliver(notification);
+    await Notification.updateOne(
+      { _id: notification._id },
+      {
+        $set: {
+          status: "sent",
+          sentAt: new Date(),
+          lockedAt: null,
+          lastError: null,
+          providerMessageId,
+        },
+      }
+    );
+  } catch (err) {
+    const lastError = JSON.stringify(err?.response?.data || err.message || err);
+    const giveUp = notification.attempts >= MAX_ATTEMPTS;
+    await Notification.updateOne(
+      { _id: notification._id },
+      {
+        $set: {
+          status: giveUp ? "failed" : "pending",
+          lockedAt: null,
+          lastError,
+          nextAttemptAt: new Date(
+            Date.now() + retryDelay(notification.attempts)
+          ),
+        },
+      }
+    );
+    console.error("Notification delivery failed:", {
+      id: notification._id,
+      channel: notification.channel,
+      templateName: notification.templateName,
+      attempts: notification.attempts,
+      giveUp,
+      error: lastError,
+    });
+  }
+}
+
+let draining = false;
+
+// Send everything that is due. Overlapping calls are collapsed into one run.
+export async function drainOutbox() {
+  if (draining) return;
+  draining = true;
+  try {
+    let notification;
+    while ((notification = await claimNext())) {
+      await processNotification(notification);
+    }
+  } catch (err) {
+    console.error("Outbox worker error:", err);
+  } finally {
+    draining = false;
+  }
+}
+
+// Record a message in the outbox and try to send it right away
+export async function enqueueNotification({
+  order = null,
+  channel,
+  to,
+  templateName,
+  params = null,
+}) {
+  const notification = await Notification.create({
+    order,
+    channel,
+    to,
+    templateName,
+    params,
+  });
+  setImmediate(drainOutbox);
+  return notification;
+}
+
+// Put failed notifications back in the queue with a fresh attempt budget
+export async function requeueNotifications(filter) {
+  const result = await Notification.updateMany(
+    { ...filter, status: "failed" },
+    {
+      $set: {
+        status: "pending",
+        attempts: 0,
+        nextAttemptAt: new Date(),
+        lockedAt: null,
+      },
+    }
+  );
+  setImmediate(drainOutbox);
+  return result.modifiedCount;
+}
+
+export function startOutboxWorker() {
+  setInterval(drainOutbox, POLL_INTERVAL_MS).unref();
+  setImmediate(drainOutbox);
+  console.log("✅ Notification outbox worker started");
+}
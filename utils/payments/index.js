@@ -0,0 +1,76 @@
+import { createJazzcashProvider } from "./jazzcash.js";
+import { createMockProvider } from "./mock.js";
+
+// Online payment providers. Each one implements:
+//   createCheckout({ txnRef, amount, description, returnUrl, expiresAt })
+//     → { url, method, fields } – the hosted checkout the customer is sent
+//     to: a GET link or a form to auto-submit with `fields`
+//   parseCallback(payload) → { txnRef, status, amount, transactionId, reason }
+//     status is paid | failed | pending; throws if the signature is invalid
+//
+// A provider is enabled when its credentials are set: JAZZCASH_MERCHANT_ID
+// for JazzCash. The mock gateway lets anyone mark an order paid, so it is
+// only on with PAYMENT_MOCK=true and never alongside a real gateway.
+export const PAYMENT_PROVIDERS = ["jazzcash", "mock"];
+
+let providers = null;
+
+// Public base URL of this API, used for return/callback links
+export function paymentBaseUrl(env = process.env) {
+  return (
+    env.PAYMENT_CALLBACK_BASE_URL || `http://localhost:${env.PORT || 3000}`
+  ).replace(/\/+$/, "");
+}
+
+export function createPaymentProviders(env = process.env) {
+  const enabled = {};
+
+  if (env.JAZZCASH_MERCHANT_ID) {
+    enabled.jazzcash = createJazzcashProvider({
+      merchantId: env.JAZZCASH_MERCHANT_ID,
+      password: env.JAZZCASH_PASSWORD,
+      integritySalt: env.JAZZCASH_INTEGRITY_SALT,
+      sandbox: env.JAZZCASH_SANDBOX !== "false",
+      checkoutUrl: env.JAZZCASH_CHECKOUT_URL,
+    });
+  }
+
+  if (env.PAYMENT_MOCK === "true") {
+    if (enabled.jazzcash) {
+      throw new Error(
+        "PAYMENT_MOCK=true is not allowed when JazzCash is configured"
+      );
+    }
+    const secret = env.PAYMENT_MOCK_SECRET || env.SESSION_SECRET;
+    if (!secret) {
+      throw new Error(
+        "PAYMENT_MOCK needs PAYMENT_MOCK_SECRET or SESSION_SECRET"
+      );
+    }
+    enabled.mock = createMockProvider({
+      secret,
+      checkoutUrl: `${paymentBaseUrl(env)}/payments/mock/checkout`,
+    });
+  }
+  return enabled;
+}
+
+// Providers configured from the environment, created on first use (after
+// dotenv has loaded)
+function loadProviders() {
+  if (!providers) providers = createPaymentProviders();
+  return providers;
+}
+
+// The enabled provider called `name` (case-insensitive), or null
+export function getPaymentProvider(name) {
+  if (typeof name !== "string") return null;
+  return loadProviders()[name.trim().toLowerCase()] || null;
+}
+
+export function enabledPaymentProviders() {
+  return Object.values(loadProviders()).map(({ name, label }) => ({
+    name,
+    label,
+  }));
+}
@@ -0,0 +1,117 @@
+import crypto from "crypto";
+
+const SANDBOX_URL =
+  "https://sandbox.jazzcash.com.pk/CustomerPortal/transactionmanagement/merchantform/";
+const LIVE_URL =
+  "https://payments.jazzcash.com.pk/CustomerPortal/transactionmanagement/merchantform/";
+
+// JazzCash response codes that mean the payment is still in progress
+// (e.g. a voucher the customer hasn't paid at a shop yet)
+const PENDING_CODES = ["124", "157"];
+
+// yyyyMMddHHmmss in Pakistan time, which is what JazzCash expects
+function pkTimestamp(date) {
+  const pkt = new Date(date.getTime() + 5 * 60 * 60 * 1000);
+  return pkt.toISOString().replace(/\D/g, "").slice(0, 14);
+}
+
+// pp_SecureHash: HMAC-SHA256 keyed with the integrity salt over the salt and
+// every non-empty pp_* value, ordered by field name and joined with "&"
+export function jazzcashHash(fields, salt) {
+  const values = Object.keys(fields)
+    .filter(
+      (key) =>
+        key.toLowerCase().startsWith("pp") &&
+        key !== "pp_SecureHash" &&
+        fields[key] !== "" &&
+        fields[key] != null
+    )
+    .sort()
+    .map((key) => fields[key]);
+  return crypto
+    .createHmac("sha256", salt)
+    .update([salt, ...values].join("&"))
+    .digest("hex")
+    .toUpperCase();
+}
+
+// JazzCash hosted checkout (page redirection). The customer's browser posts
+// the signed form to JazzCash, picks a wallet or card there, and is sent back
+// to the return URL with the signed result.
+export function createJazzcashProvider({
+  merchantId,
+  password,
+  integritySalt,
+  sandbox = true,
+  checkoutUrl,
+}) {
+  return {
+    name: "jazzcash",
+    label: "JazzCash",
+
+    createCheckout({
+      txnRef,
+      amount,
+      description,
+      returnUrl,
+      expiresAt,
+      now = new Date(),
+    }) {
+      const fields = {
+        pp_Version: "1.1",
+        pp_TxnType: "",
+        pp_Language: "EN",
+        pp_MerchantID: merchantId,
+        pp_SubMerchantID: "",
+        pp_Password: password,
+        pp_BankID: "",
+        pp_ProductID: "",
+        pp_TxnRefNo: txnRef,
+        pp_Amount: String(Math.round(amount * 100)), // in paisa
+        pp_TxnCurrency: "PKR",
+        pp_TxnDateTime: pkTimestamp(now),
+        pp_BillReference: txnRef,
+        pp_Description: description.slice(0, 100),
+        pp_TxnExpiryDateTime: pkTimestamp(expiresAt),
+        pp_ReturnURL: returnUrl,
+        ppmpf_1: "",
+        ppmpf_2: "",
+        ppmpf_3: "",
+        ppmpf_4: "",
+        ppmpf_5: "",
+      };
+      fields.pp_SecureHash = jazzcashHash(fields, integritySalt);
+      return {
+        url: checkoutUrl || (sandbox ? SANDBOX_URL : LIVE_URL),
+        method: "POST",
+        fields,
+      };
+    },
+
+    // Check the signature on a return/IPN payload and read the outcome.
+    // Throws if the hash doesn't match.
+    parseCallback(payload) {
+      const expected = jazzcashHash(payload, integritySalt);
+      const received = String(payload.pp_SecureHash || "").toUpperCase();
+      if (
+        received.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(received), Buffer.from(expected))
+      ) {
+        throw new Error("Invalid JazzCash secure hash");
+      }
+
+      const code = String(payload.pp_ResponseCode || "");
+      let status = "failed";
+      if (code === "000") status = "paid";
+      else if (PENDING_CODES.includes(code)) status = "pending";
+
+      return {
+        txnRef: payload.pp_TxnRefNo,
+        status,
+        amount: Number(payload.pp_Amount) / 100,
+        transactionId: payload.pp_RetreivalReferenceNo || payload.pp_TxnRefNo,
+        reason: status === "failed" ? payload.pp_ResponseMessage || code : null,
+      };
+    },
+  };
+}
@@ -0,0 +1,92 @@
+import crypto from "crypto";
+
+// Fields covered by the mock gateway's signature, in signing order
+const SIGNED_FIELDS = ["txnRef", "status", "amount", "transactionId"];
+
+const escapeHtml = (val) =>
+  String(val ?? "").replace(
+    /[&<>"']/g,
+    (c) =>
+      ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[
+        c
+      ])
+  );
+
+export function mockSignature(fields, secret) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(SIGNED_FIELDS.map((key) => String(fields[key] ?? "")).join("|"))
+    .digest("hex");
+}
+
+// Stand-in gateway for development and testing. Checkout sends the customer
+// to a page on this server (GET /payments/mock/checkout) with "Pay" and
+// "Decline" buttons that post a signed result to the callback, so the whole
+// initiate → callback flow can be exercised without a merchant account.
+export function createMockProvider({ secret, checkoutUrl }) {
+  // Signed result the checkout page posts back for a given outcome
+  const signResult = ({ txnRef, amount, status }) => {
+    const fields = {
+      txnRef,
+      status,
+      amount: String(amount),
+      transactionId:
+        status === "paid"
+          ? `MOCK${crypto.randomBytes(6).toString("hex").toUpperCase()}`
+          : "",
+    };
+    return { ...fields, signature: mockSignature(fields, secret) };
+  };
+
+  const hiddenInput = ([name, value]) =>
+    `<input type="hidden" name="${name}" value="${escapeHtml(value)}">`;
+
+  return {
+    name: "mock",
+    label: "Test payment",
+
+    createCheckout({ txnRef }) {
+      return { url: checkoutUrl, method: "GET", fields: { txnRef } };
+    },
+
+    signResult,
+
+    // The hosted checkout page: one form per outcome, each posting a signed
+    // result to `returnUrl`
+    checkoutPage({ txnRef, amount, description, returnUrl }) {
+      const action = escapeHtml(returnUrl);
+      const form = (status, label) => {
+        const inputs = Object.entries(signResult({ txnRef, amount, status }))
+          .map(hiddenInput)
+          .join("");
+        return `<form method="POST" action="${action}">${inputs}<button type="submit">${label}</button></form>`;
+      };
+      return `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><title>Test payment</title></head>
+<body style="font-family:Arial,sans-serif;max-width:420px;margin:40px auto">
+  <h2>Test payment</h2>
+  <p>${escapeHtml(description)}<br>Amount: <strong>PKR ${amount}</strong></p>
+  ${form("paid", "Pay")}
+  ${form("failed", "Decline")}
+</body></html>`;
+    },
+
+    parseCallback(payload) {
+      const expected = mockSignature(payload, secret);
+      const received = String(payload.signature || "");
+      if (
+        received.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(received), Buffer.from(expected))
+      ) {
+        throw new Error("Invalid mock payment signature");
+      }
+      return {
+        txnRef: payload.txnRef,
+        status: payload.status === "paid" ? "paid" : "failed",
+        amount: Number(payload.amount),
+        transactionId: payload.transactionId || null,
+        reason: payload.status === "paid" ? null : "Declined on test checkout",
+      };
+    },
+  };
+}
@@ -0,0 +1,16 @@
+// What each admin role may change. Every signed-in admin can read; these
+// permissions gate mutations (and the audit log, which records IPs/sessions).
+//   catalog – products, stock, banners, coupons, shipping rules
+//   orders  – order status, deletion, notification resends
+//   users   – admin accounts
+//   audit   – reading the admin audit log
+export const ROLE_PERMISSIONS = {
+  owner: ["catalog", "orders", "users", "audit"],
+  catalog_manager: ["catalog"],
+  order_handler: ["orders"],
+  read_only: [],
+};
+
+export function hasPermission(role, permission) {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
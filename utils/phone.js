@@ -0,0 +1,6 @@
+// Phone numbers arrive as 03xx…, 923xx… or +92 3xx…; compare on the last
+// 10 digits so the same number always matches however it was typed
+export const phoneKey = (phone) =>
+  String(phone || "")
+    .replace(/[^0-9]/g, "")
+    .slice(-10);
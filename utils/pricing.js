@@ -0,0 +1,155 @@
+import Product from "../models/Product.js";
+import { findVariant } from "./variants.js";
+import { applyCoupon } from "./coupons.js";
+import { quoteDelivery } from "./shipping.js";
+
+// Allowed difference between client and server figures (rounding)
+const TOLERANCE = 0.01;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// Unit price after the product's percentage discount; a variant's own
+// price, when set, replaces the product price before discounting
+export function discountedPrice(product, variant = null) {
+  const base = variant?.price ?? product.price;
+  const discount = Math.min(Math.max(product.discount || 0, 0), 100);
+  return round2(base * (1 - discount / 100));
+}
+
+// Resolve cart lines against the Product collection and compute the order
+// figures on the server. `errors` lists lines that can't be ordered at all
+// (unknown/unavailable product or variant, bad color/size/quantity); `mismatches` lists
+// lines or totals where the client's figure differs from ours. A coupon code
+// that can't be applied is reported in `couponError`. Pass `clientTotal` as
+// undefined to skip the total comparison (cart quotes).
+export async function priceCart(
+  cartItems,
+  clientTotal,
+  { couponCode, contact, city } = {}
+) {
+  const errors = [];
+  const mismatches = [];
+  const items = [];
+
+  const productIds = cartItems.map((item) => String(item.productId || item.id));
+  const products = await Product.find({ id: { $in: productIds } });
+  const byId = new Map(products.map((p) => [p.id, p]));
+
+  cartItems.forEach((item, index) => {
+    const productId = productIds[index];
+    const product = byId.get(productId);
+    const line = { index, productId, name: item.name };
+
+    if (!product) {
+      return errors.push({ ...line, reason: "Product not found" });
+    }
+    if (!product.available) {
+      return errors.push({ ...line, reason: "Product is unavailable" });
+    }
+
+    const quantity = Number(item.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      return errors.push({
+        ...line,
+        reason: "Quantity must be a positive integer",
+      });
+    }
+
+    let variant = null;
+    let color = item.selectedColor || null;
+    let size = item.selectedSize || null;
+    if (product.variants.length > 0) {
+      variant = findVariant(product, item);
+      if (!variant) {
+        return errors.push({
+          ...line,
+          reason: item.sku
+            ? `Variant "${item.sku}" does not exist`
+            : "Please choose an available color/size",
+        });
+      }
+      color = variant.color;
+      size = variant.size;
+    } else if (color && !product.colors.includes(color)) {
+      return errors.push({
+        ...line,
+        reason: `Color "${color}" is not offered`,
+      });
+    } else if (size && !product.sizes.includes(size)) {
+      return errors.push({ ...line, reason: `Size "${size}" is not offered` });
+    }
+
+    const price = discountedPrice(product, variant);
+    if (Math.abs(Number(item.price) - price) > TOLERANCE) {
+      mismatches.push({
+        ...line,
+        name: product.name,
+        field: "price",
+        expected: price,
+        received: item.price,
+      });
+    }
+
+    items.push({
+      productId: product.id,
+      sku: variant?.sku || null,
+      name: product.name,
+      category: product.category,
+      weight: product.weight || 0,
+      price,
+      quantity,
+      selectedColor: color,
+      selectedSize: size,
+      image: item.image || variant?.images[0] || product.images[0] || null,
+    });
+  });
+
+  const subtotal = round2(
+    items.reduce((sum, item) => sum + item.price * item.quantity, 0)
+  );
+  let coupon = null;
+  let discount = 0;
+  let couponError = null;
+  if (couponCode && errors.length === 0) {
+    const result = await applyCoupon(couponCode, { items, subtotal, contact });
+    if (result.error) {
+      couponError = result.error;
+    } else {
+      coupon = result.coupon;
+      discount = result.discount;
+    }
+  }
+
+  const delivery = await quoteDelivery({
+    city,
+    items,
+    goodsTotal: subtotal - discount,
+  });
+  const deliveryCharges = round2(delivery.deliveryCharges);
+  const totalAmount = round2(subtotal - discount + deliveryCharges);
+
+  if (
+    errors.length === 0 &&
+    clientTotal !== undefined &&
+    Math.abs(Number(clientTotal) - totalAmount) > TOLERANCE
+  ) {
+    mismatches.push({
+      field: "totalAmount",
+      expected: totalAmount,
+      received: clientTotal,
+    });
+  }
+
+  return {
+    items,
+    subtotal,
+    discount,
+    deliveryCharges,
+    deliveryBreakdown: delivery.breakdown,
+    totalAmount,
+    coupon,
+    couponError,
+    errors,
+    mismatches,
+  };
+}
@@ -0,0 +1,89 @@
+import { getMediaStorage } from "./storage/index.js";
+
+// Product image bookkeeping. `images` holds the URLs in display order (the
+// first is the primary image); `imageAssets` pairs each URL with its
+// storage public id so one image can be removed without touching the rest.
+
+// { url, publicId } for every image, in display order (images saved before
+// public ids were stored get one derived from their URL)
+export function productImageAssets(product) {
+  const stored = product.imageAssets || [];
+  return (product.images || []).map((url) => ({
+    url,
+    publicId:
+      stored.find((a) => a.url === url)?.publicId ??
+      getMediaStorage().publicIdFromUrl(url),
+  }));
+}
+
+// A JSON array of URLs from a form field (or an array from a JSON body)
+export function parseImageList(raw, name) {
+  if (raw === undefined || raw === null || raw === "") return [];
+  let list = raw;
+  if (typeof raw === "string") {
+    try {
+      list = JSON.parse(raw);
+    } catch {
+      list = null;
+    }
+  }
+  if (!Array.isArray(list) || list.some((v) => typeof v !== "string")) {
+    throw new Error(`${name} must be a JSON array of image URLs`);
+  }
+  return list;
+}
+
+// Work out the new image list before anything is uploaded or deleted.
+//   remove    – URLs to delete
+//   order     – URLs in their new order; unlisted images keep their order after them
+//   primary   – URL, or name of a file in fileNames, to show first
+//   fileNames – original names of newly uploaded files, appended in order
+// Returns { slots, removed }: slots are existing assets or { file: index }
+// placeholders for the uploads. Throws on unknown URLs; callers answer 400.
+export function planImages(
+  product,
+  { remove = [], order, primary, fileNames = [] }
+) {
+  const current = productImageAssets(product);
+  const known = (url, field) => {
+    if (!current.some((a) => a.url === url)) {
+      throw new Error(`${field}: ${url} is not an image of this product`);
+    }
+  };
+
+  remove.forEach((url) => known(url, "removeImages"));
+  const removed = current.filter((a) => remove.includes(a.url));
+  let slots = current.filter((a) => !remove.includes(a.url));
+
+  if (order && order.length > 0) {
+    order.forEach((url) => known(url, "imageOrder"));
+    const listed = order
+      .filter((url, i) => order.indexOf(url) === i)
+      .map((url) => slots.find((a) => a.url === url))
+      .filter(Boolean);
+    slots = [...listed, ...slots.filter((a) => !listed.includes(a))];
+  }
+
+  slots.push(...fileNames.map((name, index) => ({ file: index })));
+
+  if (primary) {
+    const index = slots.findIndex((s) =>
+      s.file !== undefined ? fileNames[s.file] === primary : s.url === primary
+    );
+    if (index < 0) {
+      throw new Error(
+        `primaryImage: ${primary} is not an image of this product`
+      );
+    }
+    slots.unshift(...slots.splice(index, 1));
+  }
+
+  return { slots, removed };
+}
+
+// images/imageAssets update once the planned files are uploaded
+// (uploads[i] is the { url, publicId } of fileNames[i])
+export function imageFields(slots, uploads = []) {
+  const assets = slots.map((s) => (s.file !== undefined ? uploads[s.file] : s));
+  return { images: assets.map((a) => a.url), imageAssets: assets };
+}
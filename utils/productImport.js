@@ -0,0 +1,321 @@
+import Product from "../models/Product.js";
+import { parseCsv, csvRow } from "./csv.js";
+import { parseStockFields } from "./stock.js";
+import { parseVariants, variantOptions } from "./variants.js";
+import { productImageAssets } from "./productImages.js";
+import { getMediaStorage } from "./storage/index.js";
+
+// Columns of the bulk import/export file, in export order. In CSV, colors and
+// sizes are comma separated, images are separated by "|" and variants is the
+// same JSON array the product form sends.
+export const PRODUCT_COLUMNS = [
+  "id",
+  "name",
+  "price",
+  "discount",
+  "category",
+  "mostSell",
+  "available",
+  "colors",
+  "sizes",
+  "description",
+  "weight",
+  "stock",
+  "lowStockThreshold",
+  "images",
+  "variants",
+];
+
+const REQUIRED_FIELDS = ["name", "price", "category"];
+
+// Rows as plain objects from an uploaded CSV or JSON file
+export function parseImportFile(text, format) {
+  if (format === "json") {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      throw new Error("File is not valid JSON");
+    }
+    const rows = Array.isArray(data) ? data : data?.products;
+    if (!Array.isArray(rows)) {
+      throw new Error("JSON must be an array of products");
+    }
+    return rows;
+  }
+
+  const [header, ...lines] = parseCsv(text);
+  if (!header) throw new Error("CSV file is empty");
+  const columns = header.map((h) => h.trim());
+  const unknown = columns.filter((c) => !PRODUCT_COLUMNS.includes(c));
+  if (unknown.length > 0)
+    throw new Error(`Unknown columns: ${unknown.join(", ")}`);
+  if (!columns.includes("id")) throw new Error("CSV must have an id column");
+  return lines.map((cells) =>
+    Object.fromEntries(columns.map((c, i) => [c, cells[i] ?? ""]))
+  );
+}
+
+const list = (val, separator) =>
+  Array.isArray(val)
+    ? val.map((v) => String(v).trim()).filter(Boolean)
+    : String(val ?? "")
+        .split(separator)
+        .map((v) => v.trim())
+        .filter(Boolean);
+
+function parseFlag(name, val) {
+  if (typeof val === "boolean") return val;
+  const str = String(val ?? "")
+    .trim()
+    .toLowerCase();
+  if (["true", "yes", "1"].includes(str)) return true;
+  if (["false", "no", "0", ""].includes(str)) return false;
+  throw new Error(`${name} must be true or false`);
+}
+
+function parseAmount(name, val, { max = Infinity } = {}) {
+  if (val === null || val === undefined || val === "") return 0;
+  const num = Number(val);
+  if (!Number.isFinite(num) || num < 0 || num > max) {
+    throw new Error(
+      max === Infinity
+        ? `${name} must be a non-negative number`
+        : `${name} must be a number between 0 and ${max}`
+    );
+  }
+  return num;
+}
+
+const isUrl = (val) => /^https?:\/\/\S+$/i.test(val);
+
+// Validate one row against the product (if any) it updates. Only columns
+// present in the row are changed; returns { fields, errors }.
+export function validateProductRow(row, existing) {
+  const errors = [];
+  const fields = {};
+  const has = (key) => row[key] !== undefined;
+  const attempt = (fn) => {
+    try {
+      fn();
+    } catch (err) {
+      errors.push(err.message);
+    }
+  };
+
+  // Required on create, and can't be blanked on update
+  for (const key of REQUIRED_FIELDS) {
+    const empty =
+      row[key] === undefined || row[key] === null || row[key] === "";
+    if (empty && (!existing || has(key))) errors.push(`${key} is required`);
+  }
+
+  if (has("name")) fields.name = String(row.name ?? "").trim();
+  if (has("category")) fields.category = String(row.category ?? "").trim();
+  if (has("description")) fields.description = String(row.description ?? "");
+  if (has("price")) {
+    attempt(() => (fields.price = parseAmount("price", row.price)));
+  }
+  if (has("discount")) {
+    attempt(
+      () =>
+        (fields.discount = parseAmount("discount", row.discount, { max: 100 }))
+    );
+  }
+  if (has("weight")) {
+    attempt(() => (fields.weight = parseAmount("weight", row.weight)));
+  }
+  for (const key of ["mostSell", "available"]) {
+    if (has(key)) attempt(() => (fields[key] = parseFlag(key, row[key])));
+  }
+  if (has("colors")) fields.colors = list(row.colors, ",");
+  if (has("sizes")) fields.sizes = list(row.sizes, ",");
+  if (has("images")) {
+    fields.images = list(row.images, "|");
+    const bad = fields.images.find((url) => !isUrl(url));
+    if (bad) errors.push(`Invalid image URL: ${bad}`);
+  }
+
+  attempt(() =>
+    Object.assign(
+      fields,
+      parseStockFields({
+        stock: row.stock === null ? "" : row.stock,
+        lowStockThreshold: row.lowStockThreshold ?? undefined,
+      })
+    )
+  );
+
+  if (has("variants")) {
+    attempt(() => {
+      const raw = Array.isArray(row.variants)
+        ? JSON.stringify(row.variants)
+        : String(row.variants ?? "").trim();
+      fields.variants = parseVariants(raw, {
+        existing: existing?.variants || [],
+      });
+      for (const variant of fields.variants) {
+        delete variant.imageFiles;
+        const bad = variant.images.find((url) => !isUrl(url));
+        if (bad)
+          errors.push(`Variant ${variant.sku}: invalid image URL: ${bad}`);
+      }
+      if (fields.variants.length > 0) {
+        Object.assign(fields, variantOptions(fields.variants));
+      }
+    });
+  }
+
+  return { fields, errors };
+}
+
+// Import rows, upserting by id. Each row is validated and saved on its own, so
+// one bad row doesn't stop the rest; with dryRun nothing is uploaded or saved.
+//   uploadImage(url) – re-hosts a remote image, returns { url, publicId }
+//   onSaved({ action, before, after }) – called after each write (audit log)
+export async function importProducts(
+  rows,
+  { dryRun = false, uploadImage, onSaved }
+) {
+  const report = { dryRun, created: 0, updated: 0, failed: 0, rows: [] };
+  const seenIds = new Set();
+  const media = getMediaStorage();
+  // Same remote URL on several rows/variants is uploaded once
+  const uploaded = new Map();
+
+  // { url, publicId } for an image URL from the file
+  const host = async (url, keep) => {
+    const kept = keep.find((a) => a.url === url);
+    if (kept) return kept;
+    if (media.ownsUrl(url)) {
+      return { url, publicId: media.publicIdFromUrl(url) };
+    }
+    if (!uploaded.has(url)) uploaded.set(url, await uploadImage(url));
+    return uploaded.get(url);
+  };
+
+  for (const [index, row] of rows.entries()) {
+    const id = String(row?.id ?? "").trim();
+    const result = { row: index + 1, id, action: null, errors: [] };
+    report.rows.push(result);
+
+    if (!row || typeof row !== "object" || !id) {
+      result.errors.push("id is required");
+    } else if (seenIds.has(id)) {
+      result.errors.push(`Duplicate id ${id} in this file`);
+    }
+    if (result.errors.length > 0) {
+      report.failed++;
+      continue;
+    }
+    seenIds.add(id);
+
+    try {
+      const existing = await Product.findOne({ id }).setOptions({
+        withDeleted: true,
+      });
+      if (existing?.deletedAt) {
+        result.errors.push(`Product ${id} is in the trash; restore it first`);
+        report.failed++;
+        continue;
+      }
+      result.action = existing ? "update" : "create";
+      const { fields, errors } = validateProductRow(row, existing);
+      if (errors.length > 0) {
+        result.errors = errors;
+        report.failed++;
+        continue;
+      }
+
+      if (!dryRun) {
+        const keep = existing ? productImageAssets(existing) : [];
+        for (const variant of existing?.variants || []) {
+          keep.push(...variant.images.map((url) => ({ url, publicId: null })));
+        }
+        if (fields.images) {
+          fields.imageAssets = [];
+          for (const url of fields.images) {
+            fields.imageAssets.push(await host(url, keep));
+          }
+          fields.images = fields.imageAssets.map((a) => a.url);
+        }
+        for (const variant of fields.variants || []) {
+          for (const [i, url] of variant.images.entries()) {
+            variant.images[i] = (await host(url, keep)).url;
+          }
+        }
+
+        let saved;
+        if (existing) {
+          saved = await Product.findOneAndUpdate(
+            { id },
+            { $set: fields },
+            { new: true, runValidators: true }
+          );
+        } else {
+          saved = await new Product({ id, ...fields }).save();
+        }
+        await onSaved?.({
+          action: result.action,
+          before: existing,
+          after: saved,
+        });
+      }
+      report[result.action === "create" ? "created" : "updated"]++;
+    } catch (err) {
+      result.errors.push(
+        err.code === 11000 ? "Duplicate variant sku" : err.message
+      );
+      report.failed++;
+    }
+  }
+
+  return report;
+}
+
+// One export row, in the same shape the importer reads back
+export function productToRow(product) {
+  return {
+    id: product.id,
+    name: product.name,
+    price: product.price,
+    discount: product.discount || 0,
+    category: product.category,
+    mostSell: Boolean(product.mostSell),
+    available: Boolean(product.available),
+    colors: product.colors || [],
+    sizes: product.sizes || [],
+    description: product.description || "",
+    weight: product.weight || 0,
+    stock: product.stock ?? null,
+    lowStockThreshold: product.lowStockThreshold,
+    images: product.images || [],
+    variants: (product.variants || []).map((v) => ({
+      sku: v.sku,
+      color: v.color,
+      size: v.size,
+      price: v.price,
+      stock: v.stock,
+      images: v.images,
+    })),
+  };
+}
+
+export function productCsvHeader() {
+  return csvRow(PRODUCT_COLUMNS);
+}
+
+export function productCsvRow(product) {
+  const row = productToRow(product);
+  return csvRow(
+    PRODUCT_COLUMNS.map((key) => {
+      if (key === "colors" || key === "sizes") return row[key].join(",");
+      if (key === "images") return row.images.join("|");
+      if (key === "variants") {
+        return row.variants.length > 0 ? JSON.stringify(row.variants) : "";
+      }
+      if (typeof row[key] === "boolean") return String(row[key]);
+      return row[key];
+    })
+  );
+}
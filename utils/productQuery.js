@@ -0,0 +1,128 @@
+const SORTS = {
+  price_asc: { finalPrice: 1, _id: 1 },
+  price_desc: { finalPrice: -1, _id: 1 },
+  newest: { createdAt: -1, _id: 1 },
+  best_selling: { soldCount: -1, _id: 1 },
+};
+
+export const DEFAULT_PAGE_SIZE = 20;
+export const MAX_PAGE_SIZE = 100;
+
+const csv = (val) =>
+  String(val)
+    .split(",")
+    .map((v) => v.trim())
+    .filter(Boolean);
+
+function parseBool(name, val) {
+  if (val === "true") return true;
+  if (val === "false") return false;
+  throw new Error(`${name} must be true or false`);
+}
+
+function parseNumber(name, val, { min = 0, integer = false } = {}) {
+  const num = Number(val);
+  if (val === "" || !Number.isFinite(num) || num < min) {
+    throw new Error(`${name} must be a number >= ${min}`);
+  }
+  if (integer && !Number.isInteger(num)) {
+    throw new Error(`${name} must be an integer`);
+  }
+  return num;
+}
+
+// Build the aggregation pipeline behind GET /products from its query string.
+// Throws on invalid parameters; the route answers those with 400.
+export function buildProductQuery(query) {
+  const match = {};
+  const priceMatch = {};
+
+  if (query.search) match.$text = { $search: String(query.search) };
+  if (query.category) match.category = { $in: csv(query.category) };
+  if (query.available !== undefined) {
+    match.available = parseBool("available", query.available);
+  }
+  if (query.mostSell !== undefined) {
+    match.mostSell = parseBool("mostSell", query.mostSell);
+  }
+  if (query.color) match.colors = { $in: csv(query.color) };
+  if (query.size) match.sizes = { $in: csv(query.size) };
+  if (query.minPrice !== undefined) {
+    priceMatch.$gte = parseNumber("minPrice", query.minPrice);
+  }
+  if (query.maxPrice !== undefined) {
+    priceMatch.$lte = parseNumber("maxPrice", query.maxPrice);
+  }
+
+  const page =
+    query.page !== undefined
+      ? parseNumber("page", query.page, { min: 1, integer: true })
+      : 1;
+  const limit =
+    query.limit !== undefined
+      ? Math.min(
+          parseNumber("limit", query.limit, { min: 1, integer: true }),
+          MAX_PAGE_SIZE
+        )
+      : DEFAULT_PAGE_SIZE;
+
+  let sort;
+  if (query.sort) {
+    sort = SORTS[query.sort];
+    if (!sort) {
+      throw new Error(`sort must be one of: ${Object.keys(SORTS).join(", ")}`);
+    }
+  } else if (query.search) {
+    sort = { score: { $meta: "textScore" }, _id: 1 };
+  } else {
+    sort = SORTS.newest;
+  }
+
+  const pipeline = [
+    { $match: match },
+    {
+      // Price the customer actually pays, so ranges and sorting agree with the
+      // cart. Products with variants start from their cheapest variant; a
+      // variant without its own price uses the product price (see pricing.js).
+      $addFields: {
+        finalPrice: {
+          $multiply: [
+            {
+              $cond: [
+                { $gt: [{ $size: { $ifNull: ["$variants", []] } }, 0] },
+                {
+                  $min: {
+                    $map: {
+                      input: "$variants",
+                      as: "variant",
+                      in: { $ifNull: ["$$variant.price", "$price"] },
+                    },
+                  },
+                },
+                "$price",
+              ],
+            },
+            {
+              $subtract: [1, { $divide: [{ $ifNull: ["$discount", 0] }, 100] }],
+            },
+          ],
+        },
+      },
+    },
+  ];
+  if (Object.keys(priceMatch).length > 0) {
+    pipeline.push({ $match: { finalPrice: priceMatch } });
+  }
+  pipeline.push({
+    $facet: {
+      products: [
+        { $sort: sort },
+        { $skip: (page - 1) * limit },
+        { $limit: limit },
+      ],
+      total: [{ $count: "count" }],
+    },
+  });
+
+  return { pipeline, page, limit };
+}
@@ -0,0 +1,150 @@
+import PDFDocument from "pdfkit";
+
+// Build the customer receipt for an order. The document is returned
+// un-ended so callers can pipe it (HTTP response) or buffer it (email).
+export function createReceipt(order) {
+  const doc = new PDFDocument({
+    size: "A5",
+    layout: "landscape",
+    margins: { top: 30, bottom: 30, left: 30, right: 30 },
+  });
+
+  // Left Column (Order Details)
+  doc
+    .font("Helvetica-Bold")
+    .fontSize(20)
+    .fillColor("#6366f1")
+    .text("MYR SURGICAL", 30, 30);
+
+  doc.fontSize(14).fillColor("#9c1f2e").text("Order Details:", 30, 60);
+
+  doc
+    .font("Helvetica")
+    .fontSize(10)
+    .fillColor("#333")
+    .text(`Order ID: ${order._id}`, 30, 80);
+
+  // Items Table
+  doc
+    .font("Helvetica-Bold")
+    .fontSize(10)
+    .fillColor("#6366f1")
+    .text("S.No", 30, 100)
+    .text("Item Name", 60, 100)
+    .text("Quantity", 230, 100)
+    .text("Amount", 280, 100);
+
+  doc.moveTo(30, 115).lineTo(330, 115).strokeColor("#f43f5e").stroke();
+
+  let y = 125;
+  order.cartItems.forEach((item, index) => {
+    const total = item.price * item.quantity;
+    doc
+      .font("Helvetica")
+      .fontSize(9)
+      .fillColor("#333")
+      .text(index + 1, 30, y)
+      .text(
+        `${item.name}${item.selectedSize ? ` (${item.selectedSize})` : ""}${
+          item.selectedColor ? ` (${item.selectedColor})` : ""
+        }${item.sku ? ` [SKU: ${item.sku}]` : ""}`,
+        60,
+        y,
+        { width: 160 }
+      )
+      .text(item.quantity, 230, y)
+      .text(`Rs. ${total.toFixed(2)}`, 280, y);
+    y += 15;
+  });
+
+  // Totals
+  const subtotal = order.cartItems.reduce(
+    (sum, item) => sum + item.price * item.quantity,
+    0
+  );
+  // Orders placed before delivery was stored: infer it from the total
+  const deliveryCharges =
+    order.deliveryCharges ??
+    Math.max(order.totalAmount - subtotal + (order.discount || 0), 0);
+  const total = order.totalAmount;
+
+  doc.moveTo(30, y).lineTo(330, y).strokeColor("#f43f5e").stroke();
+
+  y += 10;
+  doc
+    .font("Helvetica")
+    .fontSize(10)
+    .fillColor("#333")
+    .text("Sub Total:", 230, y)
+    .text(`Rs. ${subtotal.toFixed(2)}`, 280, y);
+  if (order.discount > 0) {
+    y += 15;
+    doc
+      .text(`Discount (${order.couponCode}):`, 170, y)
+      .text(`- Rs. ${order.discount.toFixed(2)}`, 280, y);
+  }
+  y += 15;
+  doc
+    .text("Delivery Charges:", 192, y)
+    .text(`Rs. ${deliveryCharges.toFixed(2)}`, 280, y);
+  y += 15;
+  doc
+    .font("Helvetica-Bold")
+    .text("Total Amount:", 205, y)
+    .text(`Rs. ${total.toFixed(2)}`, 280, y);
+
+  // Right Column (Customer Details)
+  doc
+    .font("Helvetica-Bold")
+    .fontSize(14)
+    .fillColor("#9c1f2e")
+    .text("Customer Details:", 350, 60);
+
+  doc
+    .font("Helvetica")
+    .fontSize(10)
+    .fillColor("#333")
+    .text(`Name: ${order.name || "N/A"}`, 350, 80)
+    .text(`Contact: ${order.contact || "N/A"}`, 350, 95)
+    .text(
+      `Shipping Address: ${order.houseNo || ""}, ${order.Block || ""}, ${
+        order.Area || ""
+      }`,
+      350,
+      110,
+      { width: 200 }
+    )
+    .text(`City: ${order.city || "N/A"}`, 350, 140)
+    .text(
+      `Date of Order: ${new Date(order.createdAt).toLocaleDateString()}`,
+      350,
+      155
+    )
+    .text(`Order ID: ${order._id}`, 350, 170)
+    .text(`Payment Method: ${order.paymentMethod || "N/A"}`, 350, 185);
+
+  // Footer
+  doc
+    .fontSize(8)
+    .fillColor("#444")
+    .text("Thank you for shopping with MYR Surgical!", 30, 280, {
+      align: "center",
+    })
+    .text("© 2025 MYR Surgical. All rights reserved.", 30, 290, {
+      align: "center",
+    });
+
+  return doc;
+}
+
+// Render the receipt to a Buffer, e.g. for an email attachment
+export function receiptBuffer(order) {
+  return new Promise((resolve, reject) => {
+    const doc = createReceipt(order);
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+    doc.end();
+  });
+}
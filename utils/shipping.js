@@ -0,0 +1,72 @@
+import ShippingRule from "../models/ShippingRule.js";
+
+// Used when no shipping rule matches the city and no "*" rule exists
+export const DEFAULT_DELIVERY_CHARGE = 150;
+
+// Fields an admin may set through the shipping rule routes
+export const SHIPPING_RULE_FIELDS = [
+  "city",
+  "baseRate",
+  "freeShippingThreshold",
+  "includedItems",
+  "perExtraItem",
+  "includedKg",
+  "perExtraKg",
+  "active",
+];
+
+async function ruleForCity(city) {
+  const key = String(city || "")
+    .trim()
+    .toLowerCase();
+  const rules = await ShippingRule.find({
+    city: { $in: key ? [key, "*"] : ["*"] },
+    active: true,
+  });
+  return rules.find((r) => r.city === key) || rules.find((r) => r.city === "*");
+}
+
+// Work out the delivery charge for priced cart lines going to `city`.
+// `goodsTotal` is what the customer pays for the items (after discounts) and
+// is what free-shipping thresholds are compared against.
+export async function quoteDelivery({ city, items, goodsTotal }) {
+  if (items.length === 0) {
+    return { deliveryCharges: 0, rule: null, breakdown: {} };
+  }
+
+  const rule = await ruleForCity(city);
+  if (!rule) {
+    return {
+      deliveryCharges: DEFAULT_DELIVERY_CHARGE,
+      rule: null,
+      breakdown: { base: DEFAULT_DELIVERY_CHARGE },
+    };
+  }
+
+  if (
+    rule.freeShippingThreshold !== null &&
+    goodsTotal >= rule.freeShippingThreshold
+  ) {
+    return { deliveryCharges: 0, rule, breakdown: { freeShipping: true } };
+  }
+
+  const quantity = items.reduce((sum, item) => sum + item.quantity, 0);
+  const weight = items.reduce(
+    (sum, item) => sum + (item.weight || 0) * item.quantity,
+    0
+  );
+
+  const breakdown = { base: rule.baseRate, items: 0, weight: 0 };
+  if (rule.includedItems !== null && quantity > rule.includedItems) {
+    breakdown.items = (quantity - rule.includedItems) * rule.perExtraItem;
+  }
+  if (rule.includedKg !== null && weight > rule.includedKg) {
+    breakdown.weight = Math.ceil(weight - rule.includedKg) * rule.perExtraKg;
+  }
+
+  return {
+    deliveryCharges: breakdown.base + breakdown.items + breakdown.weight,
+    rule,
+    breakdown,
+  };
+}
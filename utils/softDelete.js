@@ -0,0 +1,47 @@
+// Soft deletion for a schema: documents get deletedAt/deletedBy instead of
+// being removed. Finds, counts and aggregations skip deleted documents unless
+// the filter mentions deletedAt (trash views) or the query runs with
+// setOptions({ withDeleted: true }).
+export function softDeletePlugin(schema) {
+  schema.add({
+    deletedAt: { type: Date, default: null },
+    deletedBy: { type: String, default: null },
+  });
+  schema.index({ deletedAt: 1 });
+
+  schema.pre(
+    [
+      "find",
+      "findOne",
+      "findOneAndUpdate",
+      "findOneAndReplace",
+      "findOneAndDelete",
+      "countDocuments",
+      "distinct",
+    ],
+    function () {
+      if (this.getOptions().withDeleted) return;
+      if ("deletedAt" in this.getFilter()) return;
+      this.where({ deletedAt: null });
+    }
+  );
+
+  schema.pre("aggregate", function () {
+    const pipeline = this.pipeline();
+    const first = pipeline[0];
+    // Merged into a leading $match so a $text search stays the first stage
+    if (first?.$match) {
+      if (!("deletedAt" in first.$match)) first.$match.deletedAt = null;
+    } else {
+      pipeline.unshift({ $match: { deletedAt: null } });
+    }
+  });
+}
+
+export const softDeleteUpdate = (deletedBy) => ({
+  $set: { deletedAt: new Date(), deletedBy: deletedBy || null },
+});
+
+export const restoreUpdate = () => ({
+  $set: { deletedAt: null, deletedBy: null },
+});
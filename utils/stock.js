@@ -0,0 +1,150 @@
+import Product from "../models/Product.js";
+import Order from "../models/Orders.js";
+import { findVariant } from "./variants.js";
+
+// Atomically take `quantity` units for one cart line. Returns false when
+// there isn't enough stock; untracked products/variants always succeed.
+async function takeLine(item) {
+  const product = await Product.findOne({ id: item.productId });
+  if (!product) return false;
+
+  if (product.variants.length > 0) {
+    const variant = findVariant(product, item);
+    if (!variant) return false;
+    if (typeof variant.stock !== "number") return true;
+
+    const result = await Product.updateOne(
+      {
+        id: item.productId,
+        variants: {
+          $elemMatch: { sku: variant.sku, stock: { $gte: item.quantity } },
+        },
+      },
+      { $inc: { "variants.$.stock": -item.quantity } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  if (typeof product.stock === "number") {
+    const result = await Product.updateOne(
+      { id: item.productId, stock: { $gte: item.quantity } },
+      { $inc: { stock: -item.quantity } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  return true;
+}
+
+// Put `quantity` units of one cart line back on the shelf
+async function returnLine(item) {
+  // Stock still goes back to a product that is in the trash
+  const product = await Product.findOne({ id: item.productId }).setOptions({
+    withDeleted: true,
+  });
+  if (!product) return;
+
+  if (product.variants.length > 0) {
+    const variant = findVariant(product, item);
+    if (!variant || typeof variant.stock !== "number") return;
+    await Product.updateOne(
+      { id: item.productId, "variants.sku": variant.sku },
+      { $inc: { "variants.$.stock": item.quantity } }
+    );
+  } else if (typeof product.stock === "number") {
+    await Product.updateOne(
+      { id: item.productId },
+      { $inc: { stock: item.quantity } }
+    );
+  }
+}
+
+// Reserve stock for every line or none: on the first shortage, lines already
+// taken are returned. Returns the list of lines that were short.
+export async function reserveStock(items) {
+  const taken = [];
+  for (const item of items) {
+    if (!(await takeLine(item))) {
+      await releaseStock(taken);
+      return [item];
+    }
+    taken.push(item);
+  }
+  return [];
+}
+
+export async function releaseStock(items) {
+  for (const item of items) {
+    await returnLine(item);
+  }
+}
+
+// Restock a cancelled/deleted order exactly once
+export async function restockOrder(order) {
+  const claimed = await Order.findOneAndUpdate(
+    { _id: order._id, stockReserved: true },
+    { $set: { stockReserved: false } }
+  ).setOptions({ withDeleted: true });
+  if (!claimed) return false;
+  const items = claimed.cartItems.filter((item) => item.productId);
+  await releaseStock(items);
+  await recordSales(items, -1);
+  console.log("Order restocked:", { id: order._id });
+  return true;
+}
+
+// Take stock again for a deleted order that is being restored, if deleting
+// it gave stock back. Cancelled orders and orders awaiting verification hold
+// none, and orders from before stock tracking have no stockReserved at all.
+// Returns { items, shortItems }: items is null when nothing had to be taken,
+// and nothing is taken when shortItems is non-empty.
+export async function reclaimOrderStock(order) {
+  const live =
+    (order.status || "pending") !== "cancelled" &&
+    order.verification?.status !== "pending";
+  const released =
+    live &&
+    (await Order.exists({ _id: order._id, stockReserved: false }).setOptions({
+      withDeleted: true,
+    }));
+  if (!released) return { items: null, shortItems: [] };
+  const items = order.cartItems.filter((item) => item.productId);
+  return { items, shortItems: await reserveStock(items) };
+}
+
+// Keep Product.soldCount in step with placed (1) or withdrawn (-1) orders
+export async function recordSales(items, sign = 1) {
+  if (items.length === 0) return;
+  await Product.bulkWrite(
+    items.map((item) => ({
+      updateOne: {
+        filter: { id: item.productId },
+        update: { $inc: { soldCount: sign * item.quantity } },
+      },
+    }))
+  );
+}
+
+// Parse stock fields from a multipart product form. Only fields that were
+// sent are returned so an update doesn't clobber counts it didn't touch.
+export function parseStockFields(body) {
+  const fields = {};
+
+  if (body.stock !== undefined) {
+    const stock = body.stock === "" ? null : Number(body.stock);
+    if (stock !== null && (!Number.isInteger(stock) || stock < 0)) {
+      throw new Error("stock must be a non-negative integer");
+    }
+    fields.stock = stock;
+  }
+
+  if (body.lowStockThreshold !== undefined && body.lowStockThreshold !== "") {
+    const threshold = Number(body.lowStockThreshold);
+    if (!Number.isInteger(threshold) || threshold < 0) {
+      throw new Error("lowStockThreshold must be a non-negative integer");
+    }
+    fields.lowStockThreshold = threshold;
+  }
+
+  return fields;
+}
@@ -0,0 +1,63 @@
+import cloudinaryPkg from "cloudinary";
+
+// Cloudinary media storage. Images are resized/compressed by Cloudinary on
+// upload; sources can be local file paths or remote URLs.
+export function createCloudinaryStorage({ cloudName, apiKey, apiSecret }) {
+  const cloudinary = cloudinaryPkg.v2;
+  cloudinary.config({
+    cloud_name: cloudName,
+    api_key: apiKey,
+    api_secret: apiSecret,
+  });
+
+  const transformation = ({ maxWidth, quality = "auto", autoFormat }) => [
+    ...(maxWidth ? [{ width: maxWidth, crop: "limit" }] : []),
+    { quality },
+    ...(autoFormat ? [{ fetch_format: "auto" }] : []),
+  ];
+
+  return {
+    name: "cloudinary",
+
+    async upload(source, { folder, ...options } = {}) {
+      const result = await cloudinary.uploader.upload(source, {
+        folder,
+        transformation: transformation(options),
+      });
+      return {
+        url: result.secure_url,
+        publicId: result.public_id,
+        bytes: result.bytes,
+      };
+    },
+
+    async destroy(publicId) {
+      await cloudinary.uploader.destroy(publicId);
+    },
+
+    url(publicId, options = {}) {
+      return cloudinary.url(publicId, {
+        secure: true,
+        transformation: transformation(options),
+      });
+    },
+
+    ownsUrl(url) {
+      return /^https:\/\/res\.cloudinary\.com\//.test(url);
+    },
+
+    // public_id of a delivery URL: everything after /upload/, minus
+    // transformations, the version and the extension (nested folders kept)
+    publicIdFromUrl(url) {
+      const match = /\/upload\/(.+)$/.exec(String(url).split("?")[0]);
+      if (!match) return null;
+      const segments = match[1].split("/");
+      const version = segments.findIndex((s) => /^v\d+$/.test(s));
+      const rest =
+        version >= 0
+          ? segments.slice(version + 1)
+          : segments.filter((s) => !s.includes(","));
+      return rest.join("/").replace(/\.[^./]+$/, "") || null;
+    },
+  };
+}
@@ -0,0 +1,47 @@
+import path from "path";
+import { createCloudinaryStorage } from "./cloudinary.js";
+import { createLocalStorage } from "./local.js";
+
+// Media storage backends. Each one implements:
+//   upload(source, { folder, maxWidth, quality, autoFormat }) → { url, publicId, bytes }
+//     source is a local file path or a remote http(s) URL
+//   destroy(publicId)
+//   url(publicId, options) – public URL of a stored file
+//   ownsUrl(url)           – whether a URL already points at this storage
+//   publicIdFromUrl(url)   – for records saved without a publicId
+//
+// MEDIA_STORAGE picks the backend (cloudinary | local); it defaults to
+// cloudinary when CLOUDINARY_CLOUD_NAME is set, otherwise local.
+export const MEDIA_STORAGES = ["cloudinary", "local"];
+
+let storage = null;
+
+export function createMediaStorage(env = process.env) {
+  const name =
+    env.MEDIA_STORAGE || (env.CLOUDINARY_CLOUD_NAME ? "cloudinary" : "local");
+
+  if (name === "cloudinary") {
+    return createCloudinaryStorage({
+      cloudName: env.CLOUDINARY_CLOUD_NAME,
+      apiKey: env.CLOUDINARY_API_KEY,
+      apiSecret: env.CLOUDINARY_API_SECRET,
+    });
+  }
+  if (name === "local") {
+    const port = env.PORT || 3000;
+    return createLocalStorage({
+      dir: env.MEDIA_DIR || path.join(process.cwd(), "media"),
+      baseUrl: env.MEDIA_BASE_URL || `http://localhost:${port}/media`,
+    });
+  }
+  throw new Error(
+    `Unknown MEDIA_STORAGE "${name}". Use one of: ${MEDIA_STORAGES.join(", ")}`
+  );
+}
+
+// Storage configured from the environment, created on first use (after
+// dotenv has loaded)
+export function getMediaStorage() {
+  if (!storage) storage = createMediaStorage();
+  return storage;
+}
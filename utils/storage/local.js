@@ -0,0 +1,198 @@
+import crypto from "crypto";
+import dns from "dns";
+import fs from "fs";
+import net from "net";
+import path from "path";
+import { Transform } from "stream";
+import { pipeline } from "stream/promises";
+import axios from "axios";
+
+const MAX_REMOTE_BYTES = 10 * 1024 * 1024;
+
+// Image types accepted, and the extension a file of each type is stored
+// with. SVG is left out: it can carry scripts and is served from our origin.
+const IMAGE_TYPES = {
+  "image/jpeg": ".jpg",
+  "image/png": ".png",
+  "image/gif": ".gif",
+  "image/webp": ".webp",
+  "image/avif": ".avif",
+};
+const IMAGE_EXTENSIONS = [...Object.values(IMAGE_TYPES), ".jpeg"];
+
+// Addresses a remote image may not be fetched from: loopback, private,
+// link-local (cloud metadata), carrier-grade NAT, multicast and reserved
+const blockedAddresses = new net.BlockList();
+for (const [prefix, bits] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+]) {
+  blockedAddresses.addSubnet(prefix, bits, "ipv4");
+}
+for (const [prefix, bits] of [
+  ["::", 128],
+  ["::1", 128],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  blockedAddresses.addSubnet(prefix, bits, "ipv6");
+}
+
+function isBlockedAddress(address) {
+  // IPv4-mapped IPv6 (::ffff:10.0.0.1) is checked as the IPv4 address
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return isBlockedAddress(mapped[1]);
+  const family = net.isIP(address);
+  if (!family) return true;
+  return blockedAddresses.check(address, family === 4 ? "ipv4" : "ipv6");
+}
+
+// Hosts given as an IP never reach the DNS lookup below, so check them here
+function assertPublicHost(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, "");
+  if (net.isIP(host) && isBlockedAddress(host)) {
+    throw new Error(`Refusing to fetch media from ${hostname}`);
+  }
+}
+
+// DNS lookup for remote fetches that refuses private addresses. It runs for
+// every connection, redirects included, so a name can't be re-pointed
+// between the check and the request.
+async function publicLookup(hostname) {
+  const addresses = await dns.promises.lookup(hostname, { all: true });
+  if (
+    addresses.length === 0 ||
+    addresses.some((a) => isBlockedAddress(a.address))
+  ) {
+    throw new Error(`Refusing to fetch media from ${hostname}`);
+  }
+  return addresses;
+}
+
+// Pass a stream through, failing once more than `max` bytes went by
+function byteLimit(max) {
+  let bytes = 0;
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      bytes += chunk.length;
+      if (bytes > max) {
+        return callback(new Error(`Remote media is larger than ${max} bytes`));
+      }
+      callback(null, chunk);
+    },
+  });
+}
+
+// Download a remote image to `target`. Only http(s) image responses within
+// MAX_REMOTE_BYTES from public hosts are accepted; returns the extension
+// for its content type.
+async function downloadImage(source, target) {
+  assertPublicHost(new URL(source).hostname);
+  const response = await axios.get(source, {
+    responseType: "stream",
+    timeout: 30000,
+    maxRedirects: 3,
+    lookup: publicLookup,
+    beforeRedirect: (options) => assertPublicHost(options.hostname),
+  });
+
+  const type = String(response.headers["content-type"] || "")
+    .split(";")[0]
+    .trim()
+    .toLowerCase();
+  const length = Number(response.headers["content-length"]);
+  if (!IMAGE_TYPES[type] || length > MAX_REMOTE_BYTES) {
+    response.data.destroy();
+    throw new Error(
+      IMAGE_TYPES[type]
+        ? `Remote media is larger than ${MAX_REMOTE_BYTES} bytes`
+        : `Remote media is not a supported image (${type || "no type"})`
+    );
+  }
+
+  try {
+    await pipeline(
+      response.data,
+      byteLimit(MAX_REMOTE_BYTES),
+      fs.createWriteStream(target)
+    );
+  } catch (err) {
+    await fs.promises.rm(target, { force: true });
+    throw err;
+  }
+  return IMAGE_TYPES[type];
+}
+
+// Media stored on this server's disk and served by a static route, for
+// development and self-hosting. Files are stored as uploaded: the resize and
+// quality options are ignored.
+//   dir     – where files are written
+//   baseUrl – public URL the static route serves dir from
+export function createLocalStorage({ dir, baseUrl }) {
+  const root = path.resolve(dir);
+  const base = baseUrl.replace(/\/+$/, "");
+
+  // publicIds are "<folder>/<random><ext>"; never let one escape the root
+  const filePath = (publicId) => {
+    const target = path.resolve(root, publicId);
+    if (!target.startsWith(root + path.sep)) {
+      throw new Error(`Invalid media id: ${publicId}`);
+    }
+    return target;
+  };
+  const url = (publicId) => `${base}/${publicId}`;
+  const ownsUrl = (value) => String(value).startsWith(`${base}/`);
+
+  return {
+    name: "local",
+    root,
+
+    async upload(source, { folder = "" } = {}) {
+      const remote = /^https?:\/\//i.test(source);
+      const name = crypto.randomBytes(12).toString("hex");
+
+      let publicId;
+      if (remote) {
+        // The extension comes from the content type, once it is known
+        const download = filePath(path.posix.join(folder, `${name}.part`));
+        await fs.promises.mkdir(path.dirname(download), { recursive: true });
+        const ext = await downloadImage(source, download);
+        publicId = path.posix.join(folder, `${name}${ext}`);
+        await fs.promises.rename(download, filePath(publicId));
+      } else {
+        const ext = path.extname(source).toLowerCase();
+        if (!IMAGE_EXTENSIONS.includes(ext)) {
+          throw new Error(`Unsupported image type: ${ext || "no extension"}`);
+        }
+        publicId = path.posix.join(folder, `${name}${ext}`);
+        const target = filePath(publicId);
+        await fs.promises.mkdir(path.dirname(target), { recursive: true });
+        await fs.promises.copyFile(source, target);
+      }
+
+      const { size } = await fs.promises.stat(filePath(publicId));
+      return { url: url(publicId), publicId, bytes: size };
+    },
+
+    async destroy(publicId) {
+      await fs.promises.rm(filePath(publicId), { force: true });
+    },
+
+    url,
+    ownsUrl,
+
+    publicIdFromUrl(value) {
+      return ownsUrl(value) ? String(value).slice(base.length + 1) : null;
+    },
+  };
+}
@@ -0,0 +1,104 @@
+import crypto from "crypto";
+
+// RFC 6238 TOTP (SHA-1, 6 digits, 30s steps) as used by authenticator apps
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const DRIFT_STEPS = 1; // accept one step either side for clock drift
+const BASE32 = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+function base32Encode(buf) {
+  let bits = 0;
+  let value = 0;
+  let out = "";
+  for (const byte of buf) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32[(value << (5 - bits)) & 31];
+  return out;
+}
+
+function base32Decode(str) {
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of str.replace(/=+$/, "").toUpperCase()) {
+    const idx = BASE32.indexOf(char);
+    if (idx === -1) throw new Error("Invalid base32 secret");
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+export function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+function codeForStep(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(counter)
+    .digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+}
+
+export const currentStep = (now = Date.now()) =>
+  Math.floor(now / 1000 / STEP_SECONDS);
+
+// Returns the matching time step, or null. Callers store the step and pass
+// it back as `afterStep` so a code can't be replayed.
+export function verifyTotp(secret, code, { afterStep = -1, now } = {}) {
+  const token = String(code || "").replace(/\s/g, "");
+  if (!/^\d{6}$/.test(token)) return null;
+  const step = currentStep(now);
+  for (let s = step - DRIFT_STEPS; s <= step + DRIFT_STEPS; s++) {
+    if (s <= afterStep) continue;
+    const expected = Buffer.from(codeForStep(secret, s));
+    if (crypto.timingSafeEqual(expected, Buffer.from(token))) return s;
+  }
+  return null;
+}
+
+// otpauth:// URI for the authenticator app's QR code
+export function provisioningUri(secret, accountName, issuer = "MYR Surgical") {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+// One-time recovery codes: shown to the admin once, stored as hashes
+export function generateRecoveryCodes(count = 10) {
+  return Array.from({ length: count }, () => {
+    const hex = crypto.randomBytes(5).toString("hex");
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+}
+
+export const hashRecoveryCode = (code) =>
+  crypto
+    .createHash("sha256")
+    .update(
+      String(code || "")
+        .trim()
+        .toLowerCase()
+    )
+    .digest("hex");
@@ -0,0 +1,75 @@
+import crypto from "crypto";
+
+// Customer order tracking. A tracking token is an HMAC of the order's _id, so
+// a link can be checked without storing anything and only opens that order.
+const trackingSecret = () =>
+  process.env.TRACKING_SECRET || process.env.SESSION_SECRET;
+
+// Called at startup so a missing secret stops the server rather than failing
+// orders that were already saved
+export function assertTrackingSecret() {
+  if (!trackingSecret()) {
+    throw new Error("TRACKING_SECRET/SESSION_SECRET is not set");
+  }
+}
+
+export function trackingToken(order) {
+  assertTrackingSecret();
+  return crypto
+    .createHmac("sha256", trackingSecret())
+    .update(`order:${order._id}`)
+    .digest("base64url");
+}
+
+export function verifyTrackingToken(order, token) {
+  if (typeof token !== "string" || !token) return false;
+  const expected = Buffer.from(trackingToken(order));
+  const received = Buffer.from(token);
+  return (
+    expected.length === received.length &&
+    crypto.timingSafeEqual(expected, received)
+  );
+}
+
+// "<id>?token=…" – appended to TRACKING_BASE_URL, and the dynamic part of
+// the WhatsApp template's URL button
+export const trackingPath = (order) =>
+  `${order._id}?token=${trackingToken(order)}`;
+
+export function trackingUrl(order) {
+  const base = process.env.TRACKING_BASE_URL;
+  return base ? `${base.replace(/\/+$/, "")}/${trackingPath(order)}` : null;
+}
+
+// What a customer may see about their own order: no address, phone or
+// admin-only history details
+export function publicOrderView(order) {
+  return {
+    id: order._id,
+    orderId: order.orderId,
+    status: order.status || "pending",
+    statusHistory: (order.statusHistory || []).map((h) => ({
+      status: h.to,
+      changedAt: h.changedAt,
+    })),
+    items: order.cartItems.map((item) => ({
+      sku: item.sku,
+      name: item.name,
+      price: item.price,
+      quantity: item.quantity,
+      selectedColor: item.selectedColor,
+      selectedSize: item.selectedSize,
+      image: item.image,
+    })),
+    subtotal: order.subtotal,
+    discount: order.discount || 0,
+    couponCode: order.couponCode || null,
+    deliveryCharges: order.deliveryCharges,
+    totalAmount: order.totalAmount,
+    paymentMethod: order.paymentMethod,
+    paymentStatus: order.payment?.status || "not_required",
+    verificationStatus: order.verification?.status || "not_required",
+    city: order.city,
+    createdAt: order.createdAt,
+  };
+}
@@ -0,0 +1,98 @@
+import Product from "../models/Product.js";
+import Order from "../models/Orders.js";
+import Banner from "../models/Banner.js";
+import { getMediaStorage } from "./storage/index.js";
+import { productImageAssets } from "./productImages.js";
+
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days a soft-deleted document stays restorable before the purge job removes it
+export const trashRetentionDays = () =>
+  Number(process.env.TRASH_RETENTION_DAYS) || 30;
+
+async function destroyMedia(publicIds) {
+  const media = getMediaStorage();
+  for (const publicId of publicIds.filter(Boolean)) {
+    try {
+      await media.destroy(publicId);
+    } catch (err) {
+      console.error("Failed to delete media:", {
+        publicId,
+        message: err.message,
+      });
+    }
+  }
+}
+
+// Entities with a trash view, keyed by their URL segment. uniqueField must
+// not clash with a live document on restore; cleanup removes whatever
+// outlives the document (media files); order stock is already released when
+// the order is deleted.
+export const TRASH_ENTITIES = {
+  products: {
+    model: Product,
+    entityType: "product",
+    permission: "catalog",
+    uniqueField: "id",
+    cleanup: (product) => {
+      const media = getMediaStorage();
+      return destroyMedia([
+        ...productImageAssets(product).map((a) => a.publicId),
+        ...(product.variants || []).flatMap((v) =>
+          v.images.map((url) => media.publicIdFromUrl(url))
+        ),
+      ]);
+    },
+  },
+  orders: {
+    model: Order,
+    entityType: "order",
+    permission: "orders",
+    uniqueField: "orderId",
+  },
+  banners: {
+    model: Banner,
+    entityType: "banner",
+    permission: "catalog",
+    cleanup: (banner) => destroyMedia([banner.publicId, banner.mobilePublicId]),
+  },
+};
+
+// Permanently remove one soft-deleted document and its media
+export async function purgeDocument(entity, doc) {
+  await entity.cleanup?.(doc);
+  await entity.model.deleteOne({ _id: doc._id });
+}
+
+// Remove everything that has been in the trash longer than the retention period
+export async function purgeTrash(now = new Date()) {
+  const cutoff = new Date(now.getTime() - trashRetentionDays() * DAY_MS);
+  for (const [name, entity] of Object.entries(TRASH_ENTITIES)) {
+    const expired = await entity.model.find({
+      deletedAt: { $ne: null, $lte: cutoff },
+    });
+    for (const doc of expired) {
+      try {
+        await purgeDocument(entity, doc);
+      } catch (err) {
+        console.error("Trash purge error:", {
+          entity: name,
+          id: doc._id,
+          message: err.message,
+        });
+      }
+    }
+    if (expired.length > 0) {
+      console.log("Trash purged:", { entity: name, count: expired.length });
+    }
+  }
+}
+
+export function startTrashPurgeWorker() {
+  const run = () =>
+    purgeTrash().catch((err) => console.error("Trash purge error:", err));
+  setInterval(run, PURGE_INTERVAL_MS).unref();
+  setImmediate(run);
+  console.log("✅ Trash purge worker started");
+}
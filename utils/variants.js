@@ -0,0 +1,110 @@
+// Parse the `variants` JSON field of a multipart product form.
+//
+// Each entry: { sku, color, size, price, stock, images, imageFiles }
+//   price      – optional override of the product price (discount still applies)
+//   stock      – optional; omitted on update keeps the current count for that SKU
+//   images     – already-hosted image URLs to keep
+//   imageFiles – original names of files attached under `variantImages`
+//
+// Throws on invalid input; callers answer with 400.
+export function parseVariants(raw, { existing = [], fileNames = [] } = {}) {
+  let entries;
+  try {
+    entries = raw ? JSON.parse(raw) : [];
+  } catch {
+    throw new Error("variants must be a JSON array");
+  }
+  if (!Array.isArray(entries)) throw new Error("variants must be a JSON array");
+
+  const seenSkus = new Set();
+  const seenCombos = new Set();
+  const referencedFiles = new Set();
+
+  const variants = entries.map((entry, index) => {
+    if (!entry || typeof entry !== "object" || Array.isArray(entry)) {
+      throw new Error(`Variant ${index + 1} must be an object`);
+    }
+    const sku = String(entry.sku || "").trim();
+    if (!sku) throw new Error(`Variant ${index + 1} is missing a sku`);
+    if (seenSkus.has(sku)) throw new Error(`Duplicate variant sku: ${sku}`);
+    seenSkus.add(sku);
+
+    const color = entry.color ? String(entry.color).trim() : null;
+    const size = entry.size ? String(entry.size).trim() : null;
+    const combo = `${color}|${size}`;
+    if (seenCombos.has(combo)) {
+      throw new Error(`Duplicate variant for color/size: ${color}/${size}`);
+    }
+    seenCombos.add(combo);
+
+    let price = null;
+    if (
+      entry.price !== undefined &&
+      entry.price !== null &&
+      entry.price !== ""
+    ) {
+      price = Number(entry.price);
+      if (!Number.isFinite(price) || price < 0) {
+        throw new Error(`Variant ${sku}: price must be a non-negative number`);
+      }
+    }
+
+    let stock;
+    if (entry.stock === undefined) {
+      stock = existing.find((v) => v.sku === sku)?.stock ?? null;
+    } else if (entry.stock === null || entry.stock === "") {
+      stock = null;
+    } else {
+      stock = Number(entry.stock);
+      if (!Number.isInteger(stock) || stock < 0) {
+        throw new Error(`Variant ${sku}: stock must be a non-negative integer`);
+      }
+    }
+
+    const imageFiles = Array.isArray(entry.imageFiles) ? entry.imageFiles : [];
+    for (const name of imageFiles) {
+      if (!fileNames.includes(name)) {
+        throw new Error(`Variant ${sku}: no uploaded image named ${name}`);
+      }
+      referencedFiles.add(name);
+    }
+
+    return {
+      sku,
+      color,
+      size,
+      price,
+      stock,
+      images: Array.isArray(entry.images) ? entry.images.map(String) : [],
+      imageFiles,
+    };
+  });
+
+  const orphan = fileNames.find((name) => !referencedFiles.has(name));
+  if (orphan) {
+    throw new Error(
+      `Uploaded variant image ${orphan} is not used by any variant`
+    );
+  }
+
+  return variants;
+}
+
+// Distinct colors/sizes offered by a set of variants, for filtering
+export function variantOptions(variants) {
+  const unique = (values) => [...new Set(values.filter(Boolean))];
+  return {
+    colors: unique(variants.map((v) => v.color)),
+    sizes: unique(variants.map((v) => v.size)),
+  };
+}
+
+// Find the variant a cart line refers to: by SKU, else by color/size
+export function findVariant(product, item) {
+  if (item.sku) return product.variants.find((v) => v.sku === item.sku);
+  const color = item.selectedColor || null;
+  const size = item.selectedSize || null;
+  return product.variants.find(
+    (v) => (v.color || null) === color && (v.size || null) === size
+  );
+}
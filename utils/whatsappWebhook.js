@@ -0,0 +1,158 @@
+import crypto from "crypto";
+import Notification from "../models/Notification.js";
+import InboundMessage from "../models/InboundMessage.js";
+import Order from "../models/Orders.js";
+import { changeOrderStatus } from "./orderStatus.js";
+import { phoneKey } from "./phone.js";
+
+// Statuses only move forward; Meta may deliver them out of order
+const STATUS_RANK = { sent: 1, delivered: 2, read: 3, failed: 4 };
+
+// Customer replies that change the order; anything else is only stored
+export const REPLY_ACTIONS = { CONFIRM: "confirmed", CANCEL: "cancelled" };
+
+// Check Meta's X-Hub-Signature-256 header (HMAC-SHA256 of the raw body
+// keyed with the app secret)
+export function verifyWebhookSignature(rawBody, header) {
+  const secret = process.env.WHATSAPP_APP_SECRET;
+  if (!secret || !rawBody || !header) return false;
+
+  const expected = Buffer.from(
+    "sha256=" +
+      crypto.createHmac("sha256", secret).update(rawBody).digest("hex")
+  );
+  const received = Buffer.from(String(header));
+  return (
+    received.length === expected.length &&
+    crypto.timingSafeEqual(received, expected)
+  );
+}
+
+async function applyStatusUpdate(update) {
+  const notification = await Notification.findOne({
+    providerMessageId: update.id,
+  });
+  if (!notification) {
+    console.warn("WhatsApp status for unknown message:", {
+      id: update.id,
+      status: update.status,
+    });
+    return;
+  }
+  if (
+    !STATUS_RANK[update.status] ||
+    (STATUS_RANK[notification.deliveryStatus] || 0) >=
+      STATUS_RANK[update.status]
+  ) {
+    return;
+  }
+
+  const error = update.errors?.[0];
+  notification.deliveryStatus = update.status;
+  notification.deliveryStatusAt = update.timestamp
+    ? new Date(Number(update.timestamp) * 1000)
+    : new Date();
+  notification.deliveryError = error
+    ? `${error.code}: ${error.title || error.message || ""}`
+    : null;
+  await notification.save();
+  console.log("WhatsApp delivery status:", {
+    id: notification._id,
+    order: notification.order,
+    status: update.status,
+  });
+}
+
+// The order a reply is about: the one whose message was replied to, else the
+// sender's most recent order
+async function findOrderForReply(message) {
+  if (message.context?.id) {
+    const notification = await Notification.findOne({
+      providerMessageId: message.context.id,
+    });
+    if (notification?.order) return Order.findById(notification.order);
+  }
+  return Order.findOne({ contactKey: phoneKey(message.from) }).sort({
+    createdAt: -1,
+  });
+}
+
+async function handleInboundMessage(message, { onStatusChange }) {
+  const text = (
+    message.text?.body ||
+    message.button?.text ||
+    message.interactive?.button_reply?.title ||
+    ""
+  ).trim();
+
+  // Stored before acting and marked processed only once the action is done,
+  // so a redelivery after a failure runs it again instead of being dropped
+  let record;
+  try {
+    record = await InboundMessage.create({
+      waMessageId: message.id,
+      from: message.from,
+      type: message.type,
+      text,
+      contextMessageId: message.context?.id || null,
+    });
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+    // Rows stored before processedAt existed lack the field and were handled
+    // on arrival, so only an explicit null counts as unprocessed
+    record = await InboundMessage.findOne({
+      waMessageId: message.id,
+      processedAt: { $type: "null" },
+    });
+    if (!record) return; // redelivery of a message we already handled
+  }
+
+  const order = await findOrderForReply(message);
+  const result = { order: order?._id || null, action: null, actionError: null };
+
+  const action = REPLY_ACTIONS[text.toUpperCase()];
+  if (action && !order) {
+    result.actionError = "No order found for this number";
+  } else if (action) {
+    const change = await changeOrderStatus(order, action, {
+      changedBy: "customer (WhatsApp)",
+      note: `Customer replied "${text}"`,
+    });
+    if (change.error) {
+      result.actionError = change.error;
+    } else {
+      result.action = action;
+      await onStatusChange(change.order);
+    }
+  }
+
+  // Conditional, so a concurrent redelivery that lost the status change
+  // can't overwrite the outcome recorded by the one that won
+  const processed = await InboundMessage.findOneAndUpdate(
+    { _id: record._id, processedAt: null },
+    { $set: { ...result, processedAt: new Date() } },
+    { new: true }
+  );
+  if (!processed) return;
+  console.log("WhatsApp message received:", {
+    from: message.from,
+    order: processed.order,
+    action: processed.action,
+    actionError: processed.actionError,
+  });
+}
+
+// Handle one webhook payload: delivery receipts and inbound messages
+export async function processWhatsAppWebhook(body, { onStatusChange }) {
+  for (const entry of body?.entry || []) {
+    for (const change of entry.changes || []) {
+      if (change.field !== "messages") continue;
+      for (const update of change.value?.statuses || []) {
+        await applyStatusUpdate(update);
+      }
+      for (const message of change.value?.messages || []) {
+        await handleInboundMessage(message, { onStatusChange });
+      }
+    }
+  }
+}